@@ -14,6 +14,12 @@ class CanvasManager {
 
         // Operation history for rendering
         this.operations = [];
+        this.replayOperations = null; // Board at a point in history (read-only view), see HistoryPlayer
+
+        // What the user's room role allows (the server enforces the same limits)
+        this.allowedTools = null; // null = every tool
+        this.canTransform = true; // Move/resize images
+        this.isAdmin = false; // Admins can select (and lock) anyone's images
 
         // Active strokes being drawn by other users (for real-time incremental updates)
         this.activeStrokes = new Map(); // userId -> { points, color, width, tool }
@@ -57,7 +63,7 @@ class CanvasManager {
         this.currentUserId = null; // Restrict manipulation to own images
 
         // Image cache for hit detection and rendering
-        this.imageCache = new Map(); // operationId -> loaded Image object
+        this.imageCache = new Map(); // assetId (or operationId for inline images) -> Image object
 
         // Resize State
         this.isResizing = false;
@@ -80,6 +86,21 @@ class CanvasManager {
         this.currentUserId = userId;
     }
 
+    /**
+     * Limit the canvas to what the user's role allows
+     * `tools` lists the usable tools (null for all); `canTransform` allows moving/resizing.
+     */
+    setPermissions(tools, canTransform, isAdmin = false) {
+        this.allowedTools = tools;
+        this.canTransform = canTransform;
+        this.isAdmin = isAdmin;
+        if (tools && !tools.includes(this.currentTool)) {
+            this.setTool(tools[0]);
+        }
+        this.selectedOperation = null;
+        this.redrawCanvas();
+    }
+
     /**
      * Setup canvas size and properties
      */
@@ -201,19 +222,19 @@ class CanvasManager {
         this.eraserMaskCanvas.height = height;
     }
 
-    getUserLayer(userId) {
+    getUserLayer(userId, layers = this.userLayers, width = this.canvas.width, height = this.canvas.height) {
         if (!userId) return null;
-        let layer = this.userLayers.get(userId);
+        let layer = layers.get(userId);
         if (!layer) {
             const canvas = document.createElement('canvas');
-            canvas.width = this.canvas.width;
-            canvas.height = this.canvas.height;
+            canvas.width = width;
+            canvas.height = height;
             const ctx = canvas.getContext('2d');
             layer = { canvas, ctx };
-            this.userLayers.set(userId, layer);
-        } else if (layer.canvas.width !== this.canvas.width || layer.canvas.height !== this.canvas.height) {
-            layer.canvas.width = this.canvas.width;
-            layer.canvas.height = this.canvas.height;
+            layers.set(userId, layer);
+        } else if (layer.canvas.width !== width || layer.canvas.height !== height) {
+            layer.canvas.width = width;
+            layer.canvas.height = height;
         }
         return layer;
     }
@@ -335,19 +356,12 @@ class CanvasManager {
             const op = this.operations.find(item => item.id === operationId);
             if (!op || op.type !== 'image' || !op.data) return;
 
-            const { src, width, height } = op.data;
+            const { width, height } = op.data;
             const pixelPos = this.toPixelPos({ x, y });
             const imgWidth = this.toPixelLengthX(width);
             const imgHeight = this.toPixelLengthY(height);
 
-            const cacheKey = op.id || src;
-            let img = this.imageCache.get(cacheKey);
-            if (!img) {
-                img = new Image();
-                img.src = src;
-                this.imageCache.set(cacheKey, img);
-            }
-
+            const img = this.getImage(op);
             if (!img.complete) return;
 
             const aspectRatio = img.width / img.height;
@@ -623,6 +637,10 @@ class CanvasManager {
      * Start drawing
      */
     startDrawing(e) {
+        // The canvas is read-only while replaying history
+        if (this.replayOperations) return;
+        if (this.allowedTools && !this.allowedTools.includes(this.currentTool)) return;
+
         // Text Tool Logic - Show inline text input
         if (this.currentTool === 'text') {
             e.preventDefault();
@@ -767,11 +785,16 @@ class CanvasManager {
                 return;
             }
 
-            // Check if clicking on an image operation (for move)
+            // Check if clicking on an operation (images for move; admins pick anything to lock it)
             const clickedOp = this.findOperationAtPosition(pos);
 
-            if (clickedOp && clickedOp.type === 'image') {
+            if (clickedOp) {
                 this.selectedOperation = clickedOp;
+                // Locked items can still be selected (to unlock them), not moved; only images move
+                if (clickedOp.locked || clickedOp.type !== 'image' || !this.canTransform) {
+                    this.redrawCanvas();
+                    return;
+                }
                 this.isDragging = true;
                 this.dragOffset = {
                     x: pos.x - clickedOp.data.x,
@@ -851,8 +874,8 @@ class CanvasManager {
             newHeight = Math.max(0.05, newHeight);
 
             // Constraint to aspect ratio if image is loaded
-            const img = this.imageCache.get(op.id);
-            if (img && img.complete && img.naturalWidth && img.naturalHeight) {
+            const img = this.getImage(op);
+            if (img.complete && img.naturalWidth && img.naturalHeight) {
                 const aspectRatio = img.naturalWidth / img.naturalHeight;
 
                 // Calculate dimensions that maintain aspect ratio while fitting in the dragged box
@@ -896,18 +919,12 @@ class CanvasManager {
                 this.previewCtx.save();
                 this.previewCtx.setTransform(this.camera.zoom, 0, 0, this.camera.zoom, this.camera.x, this.camera.y);
 
-                const { src, width, height } = op.data;
+                const { width, height } = op.data;
                 const pixelPos = this.toPixelPos({ x: newX, y: newY });
                 const imgWidth = this.toPixelLengthX(width);
                 const imgHeight = this.toPixelLengthY(height);
 
-                // Use cached image if available
-                let img = this.imageCache.get(op.id);
-                if (!img) {
-                    img = new Image();
-                    img.src = src;
-                    this.imageCache.set(op.id, img);
-                }
+                const img = this.getImage(op);
 
                 if (img.complete) {
                     const aspectRatio = img.width / img.height;
@@ -956,7 +973,7 @@ class CanvasManager {
                 } else {
                     // Check if hovering over any image (show move cursor)
                     const clickedOp = this.findOperationAtPosition(pos);
-                    if (clickedOp && clickedOp.type === 'image') {
+                    if (clickedOp && clickedOp.type === 'image' && !clickedOp.locked && this.canTransform) {
                         this.canvas.style.cursor = 'move';
                     } else {
                         this.canvas.style.cursor = 'default';
@@ -1245,24 +1262,10 @@ class CanvasManager {
         }
 
         if (type === 'image') {
-            const { x, y, src, width, height } = data;
+            const { x, y, width, height } = data;
             const pixelPos = this.toPixelPos({ x, y });
 
-            // Check cache using ID first (more reliable/efficient than huge Data URI)
-            // Fallback to src if no ID (though operations should have IDs)
-            const cacheKey = operation.id || src;
-            let img = this.imageCache.get(cacheKey);
-
-            if (!img) {
-                img = new Image();
-                img.src = src;
-                this.imageCache.set(cacheKey, img);
-
-                img.onload = () => {
-                    this.redrawCanvas();
-                }
-            }
-
+            const img = this.getImage(operation);
             if (!img.complete) return;
 
             // Calculate pixel dimensions
@@ -1293,6 +1296,12 @@ class CanvasManager {
                 ctx.setLineDash([5 / this.camera.zoom, 5 / this.camera.zoom]); // Scale dash
                 ctx.strokeRect(finalX, finalY, finalWidth, finalHeight);
 
+                // Locked images cannot be resized, so they get no handles
+                if (operation.locked) {
+                    ctx.restore();
+                    return;
+                }
+
                 // Draw corner handles
                 ctx.setLineDash([]);
                 ctx.fillStyle = '#6366f1';
@@ -1338,19 +1347,42 @@ class CanvasManager {
 
         this.clearUserLayers();
 
-        const zoom = this.camera.zoom;
-        const panX = this.camera.x;
-        const panY = this.camera.y;
+        this.renderOperations({
+            ctx: this.ctx,
+            width: this.canvas.width,
+            height: this.canvas.height,
+            zoom: this.camera.zoom,
+            panX: this.camera.x,
+            panY: this.camera.y,
+            operations: this.replayOperations || this.operations,
+            layers: this.userLayers,
+            interactive: !this.replayOperations
+        });
+
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0); // Reset
+        this.queueRemotePreviewRender();
+    }
+
+    /**
+     * Draw all active operations onto a target context through a camera transform
+     * Used for the visible canvas and for offscreen exports. `layers` holds one canvas
+     * per user so eraser strokes only remove that user's own drawing.
+     * With `interactive`, the dragged operation is skipped and the selection is drawn.
+     */
+    renderOperations(target) {
+        const { ctx, width, height, zoom, panX, panY, operations, layers, interactive } = target;
 
         // Apply Camera Transform
-        this.ctx.setTransform(zoom, 0, 0, zoom, panX, panY);
+        ctx.setTransform(zoom, 0, 0, zoom, panX, panY);
 
         // Redraw all operations
-        this.operations.forEach(op => {
+        operations.forEach(op => {
             if (op.undone) return;
+            if (this.isTransformOperation(op)) return; // Already applied to its target
+            if (op.type === 'clear-all') return; // History marker, nothing to draw
 
             const userId = op.userId || null;
-            const layer = userId ? this.getUserLayer(userId) : null;
+            const layer = userId ? this.getUserLayer(userId, layers, width, height) : null;
             const isEraser = op.type === 'draw' && op.data && op.data.tool === 'eraser';
 
             if (isEraser) {
@@ -1381,8 +1413,8 @@ class CanvasManager {
                 const padding = strokeWidth / 2 + 2;
                 const boxX = Math.max(0, Math.floor(minX - padding));
                 const boxY = Math.max(0, Math.floor(minY - padding));
-                const boxMaxX = Math.min(this.canvas.width, Math.ceil(maxX + padding));
-                const boxMaxY = Math.min(this.canvas.height, Math.ceil(maxY + padding));
+                const boxMaxX = Math.min(width, Math.ceil(maxX + padding));
+                const boxMaxY = Math.min(height, Math.ceil(maxY + padding));
                 const boxW = Math.max(0, boxMaxX - boxX);
                 const boxH = Math.max(0, boxMaxY - boxY);
 
@@ -1423,11 +1455,11 @@ class CanvasManager {
                 this.eraserMaskCtx.putImageData(maskImage, 0, 0);
 
                 // Apply masked erase to main canvas
-                this.ctx.save();
-                this.ctx.setTransform(1, 0, 0, 1, 0, 0);
-                this.ctx.globalCompositeOperation = 'destination-out';
-                this.ctx.drawImage(this.eraserMaskCanvas, boxX, boxY);
-                this.ctx.restore();
+                ctx.save();
+                ctx.setTransform(1, 0, 0, 1, 0, 0);
+                ctx.globalCompositeOperation = 'destination-out';
+                ctx.drawImage(this.eraserMaskCanvas, boxX, boxY);
+                ctx.restore();
 
                 // Apply erase to user's layer for future masks
                 layer.ctx.save();
@@ -1439,7 +1471,7 @@ class CanvasManager {
             }
 
             try {
-                this.drawOperationOnContext(this.ctx, op, { skipSelected: true, drawSelection: true });
+                this.drawOperationOnContext(ctx, op, { skipSelected: interactive, drawSelection: interactive });
             } catch (e) {
                 console.error('Error drawing operation:', op, e);
             }
@@ -1447,6 +1479,8 @@ class CanvasManager {
             if (layer) {
                 layer.ctx.save();
                 layer.ctx.setTransform(zoom, 0, 0, zoom, panX, panY);
+                // A locked operation is cut out of the layer, so later eraser strokes skip it
+                if (op.locked) layer.ctx.globalCompositeOperation = 'destination-out';
                 try {
                     this.drawOperationOnContext(layer.ctx, op, { skipSelected: false, drawSelection: false });
                 } catch (e) {
@@ -1456,8 +1490,30 @@ class CanvasManager {
             }
         });
 
-        this.ctx.setTransform(1, 0, 0, 1, 0, 0); // Reset
-        this.queueRemotePreviewRender();
+        // Images draw their own selection (with handles); anything else gets a box
+        const selected = interactive ? this.selectedOperation : null;
+        if (selected && selected.type !== 'image' && !selected.undone) {
+            this.drawSelectionBox(ctx, selected);
+        }
+    }
+
+    /**
+     * Dashed box around a selected stroke, shape or text
+     */
+    drawSelectionBox(ctx, operation) {
+        const size = this.getReferencePixelSize();
+        const bounds = BoardSvg.getOperationBounds(operation, size);
+        if (!bounds) return;
+
+        const topLeft = this.toPixelPos({ x: bounds.minX / size.width, y: bounds.minY / size.height });
+        const bottomRight = this.toPixelPos({ x: bounds.maxX / size.width, y: bounds.maxY / size.height });
+
+        ctx.save();
+        ctx.strokeStyle = '#6366f1';
+        ctx.lineWidth = 3 / this.camera.zoom;
+        ctx.setLineDash([5 / this.camera.zoom, 5 / this.camera.zoom]);
+        ctx.strokeRect(topLeft.x, topLeft.y, bottomRight.x - topLeft.x, bottomRight.y - topLeft.y);
+        ctx.restore();
     }
 
     drawGrid() {
@@ -1554,27 +1610,28 @@ class CanvasManager {
             return;
         }
 
-        // Handle move operations - update existing operation position
-        if (operation.type === 'move' && operation.data && operation.data.operationId) {
-            const existingOp = this.operations.find(op => op.id === operation.data.operationId);
-            if (existingOp && existingOp.data) {
-                existingOp.data.x = operation.data.x;
-                existingOp.data.y = operation.data.y;
-                this.redrawCanvas();
+        // Handle admin clear-all - keep it in history (for undo) and hide what it cleared
+        if (operation.type === 'clear-all') {
+            if (!this.operations.find(op => op.id === operation.id)) {
+                this.insertOperation(operation);
             }
-            this.remoteMovePreviews.delete(operation.data.operationId);
-            this.queueRemotePreviewRender();
+            this.applyClearAll(operation, false);
+            this.redrawCanvas();
             return;
         }
 
-        // Handle resize operations - update existing operation size
-        if (operation.type === 'resize' && operation.data && operation.data.operationId) {
-            const existingOp = this.operations.find(op => op.id === operation.data.operationId);
-            if (existingOp && existingOp.data) {
-                existingOp.data.width = operation.data.width;
-                existingOp.data.height = operation.data.height;
-                this.redrawCanvas();
+        // Handle move/resize transforms - keep them in history (for undo) and apply to the target
+        if (this.isTransformOperation(operation)) {
+            if (!this.operations.find(op => op.id === operation.id)) {
+                this.insertOperation(operation);
             }
+            this.applyTransforms(operation.data.operationId, operation.type);
+
+            if (operation.type === 'move') {
+                this.remoteMovePreviews.delete(operation.data.operationId);
+                this.queueRemotePreviewRender();
+            }
+            this.redrawCanvas();
             return;
         }
 
@@ -1624,11 +1681,18 @@ class CanvasManager {
         // Handle Completed Operations (Shapes, Text, Strokes)
 
         // 1. Reconciliation: Check if this is a confirmation of a local optimistic update
+        // (still under its tempId, or already re-keyed by the drawing ack)
         if (operation.data && operation.data.tempId) {
-            const pendingOpIndex = this.operations.findIndex(op => op.id === operation.data.tempId);
+            const tempId = operation.data.tempId;
+            const pendingOpIndex = this.operations.findIndex(op => op.id === tempId ||
+                (op.id === operation.id && op.data && op.data.tempId === tempId));
             if (pendingOpIndex !== -1) {
-                console.log('Reconciled pending operation:', operation.data.tempId, '->', operation.id);
-                this.operations[pendingOpIndex] = operation;
+                console.log('Reconciled pending operation:', tempId, '->', operation.id);
+                this.operations.splice(pendingOpIndex, 1);
+                this.insertOperation(operation);
+                if (this.operations.indexOf(operation) !== pendingOpIndex) {
+                    this.redrawCanvas();
+                }
                 return;
             }
         }
@@ -1637,7 +1701,7 @@ class CanvasManager {
         const exists = this.operations.find(op => op.id === operation.id);
         if (!exists) {
             console.log('Pushing new operation to history:', operation.id);
-            this.operations.push(operation);
+            this.insertOperation(operation);
         } else {
             console.log('Operation already exists:', operation.id);
             return;
@@ -1657,7 +1721,7 @@ class CanvasManager {
         const skipImmediateDraw = operation.type === 'draw' &&
             operation.data &&
             operation.data.tool === 'eraser';
-        if (!operation.undone && !skipImmediateDraw) {
+        if (!operation.undone && !skipImmediateDraw && !this.replayOperations) {
             this.ctx.save();
             this.ctx.setTransform(this.camera.zoom, 0, 0, this.camera.zoom, this.camera.x, this.camera.y);
             try {
@@ -1672,6 +1736,138 @@ class CanvasManager {
         this.redrawCanvas();
     }
 
+    /**
+     * Insert an operation at its place in the room's sequence order
+     * Optimistic operations without a seq yet stay at the end, above everything confirmed.
+     */
+    insertOperation(operation) {
+        if (!operation.seq) {
+            this.operations.push(operation);
+            return;
+        }
+
+        const index = this.operations.findIndex(op => !op.seq || op.seq > operation.seq);
+        if (index === -1) {
+            this.operations.push(operation);
+        } else {
+            this.operations.splice(index, 0, operation);
+        }
+    }
+
+    /**
+     * Apply a drawing ack: give an optimistic operation its server ID and sequence number
+     */
+    confirmOperation(tempId, id, seq) {
+        const index = this.operations.findIndex(op => op.id === tempId);
+        if (index === -1) return;
+
+        const operation = this.operations[index];
+        operation.id = id;
+        operation.seq = seq;
+
+        this.operations.splice(index, 1);
+        this.insertOperation(operation);
+        if (this.operations.indexOf(operation) !== index) {
+            this.redrawCanvas();
+        }
+    }
+
+    /**
+     * Check whether an operation is a move/resize transform of another operation
+     */
+    isTransformOperation(operation) {
+        return (operation.type === 'move' || operation.type === 'resize') &&
+            Boolean(operation.data && operation.data.operationId);
+    }
+
+    /**
+     * Recompute a target's position/size from its transform history
+     * Mirrors DrawingState.applyTransforms: the last active transform wins,
+     * with none active the earliest `before` values are restored.
+     */
+    applyTransforms(targetId, type) {
+        const target = this.operations.find(op => op.id === targetId);
+        if (!target || !target.data) return;
+
+        const transforms = this.operations.filter(op => op.type === type &&
+            this.isTransformOperation(op) &&
+            op.data.operationId === targetId &&
+            op.data.after);
+        if (transforms.length === 0) return;
+
+        const active = transforms.filter(op => !op.undone);
+        const values = active.length > 0 ? active[active.length - 1].data.after : transforms[0].data.before;
+        Object.assign(target.data, values);
+    }
+
+    /**
+     * Hide the operations a clear-all cleared, or bring them back when it is undone
+     * (a checkpoint restore also lists the copies it brought in, which go the other way)
+     */
+    applyClearAll(operation, restore) {
+        const clearedIds = new Set((operation.data && operation.data.clearedIds) || []);
+        const restoredIds = new Set((operation.data && operation.data.restoredIds) || []);
+        const rev = operation.rev !== undefined ? operation.rev : operation.seq;
+        this.operations.forEach(op => {
+            if (clearedIds.has(op.id) || restoredIds.has(op.id)) {
+                op.undone = clearedIds.has(op.id) ? !restore : restore;
+                if (rev !== undefined) op.rev = rev;
+            }
+        });
+    }
+
+    /**
+     * Set an operation's undone flag (re-applying transforms when it is a move/resize,
+     * restoring or re-clearing the canvas when it is a clear-all)
+     * `rev` is the room sequence number of the change, used when replaying history.
+     */
+    setOperationUndone(operationId, undone, rev) {
+        const operation = this.operations.find(op => op.id === operationId);
+        if (!operation) return null;
+
+        operation.undone = undone;
+        if (rev !== undefined) operation.rev = rev;
+        if (this.isTransformOperation(operation)) {
+            this.applyTransforms(operation.data.operationId, operation.type);
+        }
+        if (operation.type === 'clear-all') {
+            this.applyClearAll(operation, undone);
+        }
+        return operation;
+    }
+
+    /**
+     * Lock or unlock an operation (see server DrawingState.setLocked)
+     */
+    setOperationLocked(operationId, locked, rev) {
+        const operation = this.operations.find(op => op.id === operationId);
+        if (!operation) return null;
+
+        operation.locked = locked;
+        if (rev !== undefined) operation.rev = rev;
+        return operation;
+    }
+
+    /**
+     * Merge a catch-up delta from the server
+     * New operations are inserted by sequence number; changed ones (undone, redone,
+     * moved) replace the local copy, as do our own optimistic ones.
+     */
+    applyOperationDelta(delta) {
+        (delta.operations || []).forEach(operation => {
+            const tempId = operation.data && operation.data.tempId;
+            const index = this.operations.findIndex(op => op.id === operation.id || (tempId && op.id === tempId));
+            if (index !== -1) {
+                this.operations.splice(index, 1);
+            }
+            this.insertOperation(operation);
+        });
+
+        // Strokes that were in progress when we lost the connection never finished here
+        this.activeStrokes.clear();
+        this.redrawCanvas();
+    }
+
     /**
      * Load operation history (for new users)
      */
@@ -1812,7 +2008,7 @@ class CanvasManager {
      * @param {Array} points - Array of NORMALIZED points
      */
     drawIncrementalPoints(points, color, width, tool) {
-        if (points.length === 0) return;
+        if (points.length === 0 || this.replayOperations) return;
 
         // Convert all points to pixels (World Coordinates)
         const pixelPoints = points.map(p => this.toPixelPos(p));
@@ -1863,9 +2059,12 @@ class CanvasManager {
 
     /**
      * Find operation at given normalized position (for selection)
-     * Currently only supports image operations
+     * Images for whoever may move them; admins can also pick strokes, shapes and
+     * text (to lock them), even in read-only mode.
      */
     findOperationAtPosition(pos) {
+        if (!this.canTransform && !this.isAdmin) return null;
+
         console.log('Finding operation at position:', pos);
         console.log('Total operations:', this.operations.length);
 
@@ -1895,19 +2094,75 @@ class CanvasManager {
                     // Check ownership
                     // Only block if image HAS a userId and it doesn't match current user
                     // (Allows editing local optimistic ops that might miss ID or legacy ops)
-                    if (this.currentUserId && op.userId && op.userId !== this.currentUserId) {
+                    if (!this.isAdmin && this.currentUserId && op.userId && op.userId !== this.currentUserId) {
                         console.log('Found image but belongs to another user:', op.userId);
                         return null;
                     }
                     console.log('HIT! Selected image:', op.id);
                     return op;
                 }
+            } else if (this.isAdmin && this.isOnOperation(op, pos)) {
+                // Strokes, shapes and text are only picked by admins
+                console.log('HIT! Selected operation:', op.id);
+                return op;
             }
         }
         console.log('No operation found at position');
         return null;
     }
 
+    /**
+     * Size of the reference canvas that normalized coordinates map to, in pixels
+     */
+    getReferencePixelSize() {
+        return {
+            width: this.referenceSize.width || this.canvas.width,
+            height: this.referenceSize.height || this.canvas.height
+        };
+    }
+
+    /**
+     * Check whether a normalized position is on a stroke, shape or text
+     * Filled shapes and text hit anywhere in their box; strokes and lines within
+     * half their width (plus a few pixels of slack) of the line.
+     */
+    isOnOperation(op, pos) {
+        if (!op.data || op.type === 'clear-all' || this.isTransformOperation(op)) return false;
+        if (op.type === 'draw' && op.data.tool === 'eraser') return false;
+
+        const size = this.getReferencePixelSize();
+        const bounds = BoardSvg.getOperationBounds(op, size);
+        if (!bounds) return false;
+
+        const slack = 6 / (this.camera.zoom * (this.contentTransform.scale || 1)); // Screen pixels, in reference pixels
+        const point = { x: pos.x * size.width, y: pos.y * size.height };
+        if (point.x < bounds.minX - slack || point.x > bounds.maxX + slack ||
+            point.y < bounds.minY - slack || point.y > bounds.maxY + slack) {
+            return false;
+        }
+
+        const { data } = op;
+        if (op.type === 'text' || (op.type === 'shape' && data.shapeType !== 'line')) return true;
+
+        const points = (op.type === 'shape' ? [data.start, data.end] : data.points)
+            .map(p => ({ x: p.x * size.width, y: p.y * size.height }));
+        const reach = (data.width || 2) / 2 + slack;
+        if (points.length === 1) return Math.hypot(point.x - points[0].x, point.y - points[0].y) <= reach;
+
+        for (let i = 1; i < points.length; i++) {
+            if (this.distanceToSegment(point, points[i - 1], points[i]) <= reach) return true;
+        }
+        return false;
+    }
+
+    distanceToSegment(point, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared ? Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared)) : 0;
+        return Math.hypot(point.x - (a.x + t * dx), point.y - (a.y + t * dy));
+    }
+
     /**
      * Get corner handle at position (for resize)
      * Returns: 'tl', 'tr', 'bl', 'br' or null
@@ -1919,8 +2174,8 @@ class CanvasManager {
 
         // Adjust width/height to match visual aspect ratio if image is loaded
         // This ensures the handles match the visual border exactly
-        const img = this.imageCache.get(operation.id);
-        if (img && img.complete) {
+        const img = this.getImage(operation);
+        if (img.complete) {
             const aspectRatio = img.width / img.height;
             const imgWidth = this.toPixelLengthX(width);
             const imgHeight = this.toPixelLengthY(height);
@@ -1973,15 +2228,19 @@ class CanvasManager {
      * Returns: { operation, corner } or null
      */
     findCornerAtPosition(pos) {
+        if (!this.canTransform) return null;
+
         // Search in reverse order (top-most first)
         for (let i = this.operations.length - 1; i >= 0; i--) {
             const op = this.operations[i];
             if (op.undone) continue;
 
             if (op.type === 'image') {
+                if (op.locked) continue;
+
                 // Check ownership before checking corners
                 // Only block if image HAS a userId and it doesn't match current user
-                if (this.currentUserId && op.userId && op.userId !== this.currentUserId) continue;
+                if (!this.isAdmin && this.currentUserId && op.userId && op.userId !== this.currentUserId) continue;
 
                 const corner = this.getCornerAtPosition(pos, op);
                 if (corner) {
@@ -1993,6 +2252,44 @@ class CanvasManager {
         return null;
     }
 
+    /**
+     * Get the (possibly still loading) Image for an image operation
+     * Uploaded images are fetched lazily from the asset store and shared by every
+     * operation using the same asset; the canvas redraws once one finishes loading.
+     * Operations saved before the asset store carry an inline data URL in `src`.
+     */
+    getImage(op) {
+        const { assetId, src } = op.data;
+        const cacheKey = assetId || op.id;
+
+        let img = this.imageCache.get(cacheKey);
+        if (!img) {
+            img = new Image();
+            img.onload = () => this.redrawCanvas();
+            img.src = assetId ? `/api/assets/${assetId}` : src;
+            this.imageCache.set(cacheKey, img);
+        }
+        return img;
+    }
+
+    /**
+     * Show the board at a point in history instead of the live operations (null to go back)
+     */
+    setReplayOperations(operations) {
+        this.replayOperations = operations;
+        this.selectedOperation = null;
+        this.redrawCanvas();
+    }
+
+    /**
+     * Cache a local image for an asset (e.g. right after uploading it)
+     * The canvas redraws once it has loaded, as for images from getImage.
+     */
+    cacheImage(assetId, img) {
+        if (!img.complete) img.onload = () => this.redrawCanvas();
+        this.imageCache.set(assetId, img);
+    }
+
     /**
      * Draw image preview on overlay canvas (for drag/resize)
      */
@@ -2006,18 +2303,12 @@ class CanvasManager {
         this.previewCtx.save();
         this.previewCtx.setTransform(this.camera.zoom, 0, 0, this.camera.zoom, this.camera.x, this.camera.y);
 
-        const { x, y, src, width, height } = op.data;
+        const { x, y, width, height } = op.data;
         const pixelPos = this.toPixelPos({ x, y });
         const imgWidth = this.toPixelLengthX(width);
         const imgHeight = this.toPixelLengthY(height);
 
-        // Use cached image
-        let img = this.imageCache.get(op.id);
-        if (!img) {
-            img = new Image();
-            img.src = src;
-            this.imageCache.set(op.id, img);
-        }
+        const img = this.getImage(op);
 
         if (img.complete) {
             const aspectRatio = img.width / img.height;
@@ -0,0 +1,186 @@
+/**
+ * Board Export
+ * Renders the board's operations outside the live canvas: SVG for vector tools (with
+ * the renderer shared with the server, shared/board-svg.js) and high-resolution PNG
+ */
+
+const MAX_EXPORT_DIMENSION = 16384; // Pixels per side browsers reliably allocate
+const MAX_EXPORT_AREA = 8192 * 8192; // Pixels
+
+class BoardExporter {
+    constructor(canvasManager) {
+        this.canvasManager = canvasManager;
+    }
+
+    /**
+     * Reference canvas size the normalized coordinates map to
+     */
+    getReferenceSize() {
+        const { referenceSize, canvas } = this.canvasManager;
+        return {
+            width: referenceSize.width || canvas.width,
+            height: referenceSize.height || canvas.height
+        };
+    }
+
+    /**
+     * Operations that are visible on the board, in drawing order
+     */
+    getActiveOperations() {
+        return this.canvasManager.operations.filter(op =>
+            !op.undone &&
+            op.data &&
+            op.type !== 'clear-all' &&
+            !this.canvasManager.isTransformOperation(op)
+        );
+    }
+
+    /**
+     * Export the board as a PNG
+     * `area` is 'content' (everything drawn) or 'viewport' (what is on screen now);
+     * `scale` multiplies the resolution (1, 2, 4). Exports too large for the browser are
+     * scaled down, so the scale actually used is returned with the image.
+     */
+    async exportPng({ area = 'content', scale = 1, transparent = false } = {}) {
+        const manager = this.canvasManager;
+        const operations = this.getActiveOperations();
+        await this.waitForImages(operations);
+
+        // Output pixels per world unit (camera space of the live canvas) and the world origin
+        let region;
+        if (area === 'viewport') {
+            const { zoom, x, y } = manager.camera;
+            region = {
+                width: manager.canvas.width,
+                height: manager.canvas.height,
+                zoom,
+                panX: x,
+                panY: y
+            };
+        } else {
+            // Content bounds are in reference pixels; the canvas draws them through contentTransform
+            const size = this.getReferenceSize();
+            const bounds = BoardSvg.getContentBounds(operations, size) || { x: 0, y: 0, width: size.width, height: size.height };
+            const { scale: contentScale, offsetX, offsetY } = manager.contentTransform;
+            region = {
+                width: bounds.width,
+                height: bounds.height,
+                zoom: 1 / contentScale,
+                panX: -(offsetX / contentScale + bounds.x),
+                panY: -(offsetY / contentScale + bounds.y)
+            };
+        }
+
+        const appliedScale = Math.min(
+            scale,
+            MAX_EXPORT_DIMENSION / region.width,
+            MAX_EXPORT_DIMENSION / region.height,
+            Math.sqrt(MAX_EXPORT_AREA / (region.width * region.height))
+        );
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(region.width * appliedScale));
+        canvas.height = Math.max(1, Math.round(region.height * appliedScale));
+        const ctx = canvas.getContext('2d');
+
+        manager.renderOperations({
+            ctx,
+            width: canvas.width,
+            height: canvas.height,
+            zoom: region.zoom * appliedScale,
+            panX: region.panX * appliedScale,
+            panY: region.panY * appliedScale,
+            operations: manager.operations,
+            layers: new Map(),
+            interactive: false
+        });
+
+        // Fill the background last so erased areas show it too, as on screen
+        if (!transparent) {
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            ctx.globalCompositeOperation = 'destination-over';
+            ctx.fillStyle = '#FFFFFF';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+        }
+
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        if (!blob) throw new Error('Could not encode PNG');
+        return { blob, scale: appliedScale };
+    }
+
+    /**
+     * Wait until every image on the board has loaded (or failed to)
+     */
+    waitForImages(operations) {
+        return Promise.all(operations
+            .filter(op => op.type === 'image')
+            .map(op => {
+                const img = this.canvasManager.getImage(op);
+                if (img.complete) return null;
+                return new Promise(resolve => {
+                    img.addEventListener('load', resolve, { once: true });
+                    img.addEventListener('error', resolve, { once: true });
+                });
+            }));
+    }
+
+    /**
+     * Export the board as an SVG document (images embedded as data URLs)
+     */
+    async exportSvg() {
+        const operations = this.getActiveOperations();
+        const images = await this.loadImageData(operations);
+
+        return BoardSvg.renderBoardSvg(operations, this.getReferenceSize(), {
+            getImageHref: (op) => images.get(op.id) || null
+        });
+    }
+
+    /**
+     * Data URLs for every image operation (operationId -> data URL)
+     */
+    async loadImageData(operations) {
+        const images = new Map();
+
+        await Promise.all(operations
+            .filter(op => op.type === 'image')
+            .map(async (op) => {
+                if (op.data.src) {
+                    images.set(op.id, op.data.src);
+                    return;
+                }
+                try {
+                    const response = await fetch(`/api/assets/${op.data.assetId}`);
+                    if (!response.ok) throw new Error(`status ${response.status}`);
+                    images.set(op.id, await blobToDataUrl(await response.blob()));
+                } catch (error) {
+                    console.error('Could not embed image', op.data.assetId, error);
+                }
+            }));
+
+        return images;
+    }
+}
+
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * Save a blob as a file download
+ */
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
@@ -0,0 +1,177 @@
+/**
+ * History Replay
+ * Scrubs through and plays back the board's operation log. The canvas shows the
+ * board as it was after any operation while the live state keeps updating underneath.
+ */
+
+const REPLAY_STEPS_PER_SECOND = 5; // At 1x speed
+
+class HistoryPlayer {
+    constructor(canvasManager) {
+        this.canvasManager = canvasManager;
+        this.steps = []; // Operations in the order they happened (fixed while replaying)
+        this.position = 0; // Number of steps shown
+        this.speed = 1;
+        this.playTimer = null;
+        this.isOpen = false;
+
+        // Callbacks
+        this.onPositionChange = null; // (position, total, step)
+        this.onPlaybackChange = null; // (playing)
+    }
+
+    get active() {
+        return this.isOpen;
+    }
+
+    get playing() {
+        return this.playTimer !== null;
+    }
+
+    /**
+     * Enter replay mode at the current end of history
+     */
+    open() {
+        this.isOpen = true;
+        this.steps = this.canvasManager.operations.filter(op => op.data);
+        this.seek(this.steps.length);
+    }
+
+    /**
+     * Leave replay mode and show the live board again
+     */
+    close() {
+        this.pause();
+        this.isOpen = false;
+        this.steps = [];
+        this.canvasManager.setReplayOperations(null);
+    }
+
+    /**
+     * Show the board after the first `position` steps
+     */
+    seek(position) {
+        this.position = Math.max(0, Math.min(this.steps.length, position));
+        this.canvasManager.setReplayOperations(this.buildOperations(this.position));
+
+        if (this.onPositionChange) {
+            this.onPositionChange(this.position, this.steps.length, this.steps[this.position - 1] || null);
+        }
+    }
+
+    /**
+     * Time-lapse from the current position (from the start when at the end)
+     */
+    play() {
+        if (this.playing) return;
+        if (this.position >= this.steps.length) this.seek(0);
+
+        this.playTimer = setInterval(() => {
+            if (this.position >= this.steps.length) {
+                this.pause();
+                return;
+            }
+            this.seek(this.position + 1);
+        }, 1000 / (REPLAY_STEPS_PER_SECOND * this.speed));
+
+        if (this.onPlaybackChange) this.onPlaybackChange(true);
+    }
+
+    pause() {
+        if (!this.playing) return;
+        clearInterval(this.playTimer);
+        this.playTimer = null;
+
+        if (this.onPlaybackChange) this.onPlaybackChange(false);
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+        if (this.playing) {
+            this.pause();
+            this.play();
+        }
+    }
+
+    /**
+     * Rebuild the operations as they were after `position` steps
+     * Undone flags and transforms are rolled back using the room sequence numbers:
+     * an operation counts as undone once its last change (`rev`) has happened, and a
+     * clear-all that was still active hides what it cleared.
+     */
+    buildOperations(position) {
+        const shown = this.steps.slice(0, position);
+        // Undo/redo done between this step and the next one count as already happened
+        const next = this.steps[position];
+        const atSeq = next && next.seq !== undefined ? next.seq - 1 : Infinity;
+
+        const isUndone = (op) => op.undone && (op.rev === undefined || op.rev <= atSeq);
+
+        const cleared = new Set();
+        shown.forEach(op => {
+            if (op.type === 'clear-all' && !isUndone(op)) {
+                (op.data.clearedIds || []).forEach(id => cleared.add(id));
+            }
+        });
+        // Copies brought in by a checkpoint restore appear together with it
+        this.steps.slice(position).forEach(op => {
+            if (op.type === 'clear-all') {
+                (op.data.restoredIds || []).forEach(id => cleared.add(id));
+            }
+        });
+
+        const operations = shown.map(op => ({
+            ...op,
+            undone: isUndone(op) || cleared.has(op.id)
+        }));
+
+        // Move/resize targets take the values of the last transform active at this point
+        const byId = new Map(operations.map(op => [op.id, op]));
+        const resolved = new Set(); // type:targetId
+        this.steps.forEach(transform => {
+            if (!this.canvasManager.isTransformOperation(transform)) return;
+            const key = transform.type + ':' + transform.data.operationId;
+            const target = byId.get(transform.data.operationId);
+            if (!target || resolved.has(key)) return;
+            resolved.add(key);
+
+            const history = this.steps.filter(op => op.type === transform.type &&
+                this.canvasManager.isTransformOperation(op) &&
+                op.data.operationId === target.id &&
+                op.data.after);
+            if (history.length === 0) return;
+
+            const active = history.filter(op => byId.has(op.id) && !byId.get(op.id).undone);
+            const values = active.length > 0 ? active[active.length - 1].data.after : history[0].data.before;
+            target.data = { ...target.data, ...values };
+        });
+
+        return operations;
+    }
+
+    /**
+     * Describe a step for its author label, e.g. "drew a rectangle"
+     */
+    describe(op) {
+        switch (op.type) {
+            case 'draw':
+                return op.data.tool === 'eraser' ? 'erased' : 'drew a stroke';
+            case 'shape':
+                return `drew a ${op.data.shapeType}`;
+            case 'text':
+                return `wrote "${op.data.text}"`;
+            case 'image':
+                return 'added an image';
+            case 'move':
+                return 'moved an image';
+            case 'resize':
+                return 'resized an image';
+            case 'clear-all':
+                return op.data.checkpointName
+                    ? `restored checkpoint "${op.data.checkpointName}"`
+                    : 'cleared the board';
+            default:
+                return op.type;
+        }
+    }
+}
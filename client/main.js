@@ -5,6 +5,19 @@ let wsClient;
 let remoteCursors = new Map(); // userId -> {x, y, color, userName}
 let cursorUpdateInterval;
 let currentUserId; // Current user's ID for admin checks
+let statusTimer; // Hides the status toast
+let historyPlayer; // Replays the operation log (history panel)
+let previewedCheckpoint = null; // Checkpoint shown read-only instead of the live board
+let auditLog = []; // Admin actions in this room, oldest first (admins only)
+let roomReadOnly = false; // Presentation mode: everyone can only select, pan and zoom
+
+// Tools each room role can use (null = all); the server enforces the same limits
+const ROLE_TOOLS = {
+    commenter: ['select', 'text'],
+    viewer: ['select']
+};
+const ASSIGNABLE_ROLES = ['editor', 'commenter', 'viewer'];
+const IMPORT_UPLOAD_ATTEMPTS = 5; // Per image, when the upload rate limit is hit
 
 function sendDrawingEvent(type, data) {
     if (!wsClient) return;
@@ -14,11 +27,36 @@ function sendDrawingEvent(type, data) {
     wsClient.sendDrawingEvent(type, data);
 }
 
+/**
+ * Upload image bytes to the asset store, resolving with the asset ID
+ */
+async function uploadImageAsset(blob) {
+    const response = await fetch('/api/assets', {
+        method: 'POST',
+        headers: {
+            'Content-Type': blob.type,
+            // Uploads are only accepted from users in a room
+            'X-Room-Id': wsClient.roomId,
+            'X-Session-Token': wsClient.sessionToken
+        },
+        body: blob
+    });
+    if (!response.ok) {
+        const error = new Error(`Upload failed with status ${response.status}`);
+        error.status = response.status;
+        error.retryAfter = parseInt(response.headers.get('Retry-After'), 10) || 1; // Seconds
+        throw error;
+    }
+
+    const { assetId } = await response.json();
+    return assetId;
+}
 
 async function init() {
     // Get room ID from URL or generate new one
     const urlParams = new URLSearchParams(window.location.search);
     let roomId = urlParams.get('room');
+    const invite = urlParams.get('invite');
 
     if (!roomId) {
         roomId = generateRoomId();
@@ -26,7 +64,7 @@ async function init() {
     }
 
     document.getElementById('room-id').textContent = roomId;
-    document.getElementById('share-link').value = window.location.href;
+    document.getElementById('share-link').value = getRoomUrl(roomId);
 
     // Get user name
     const userName = prompt('Enter your name', 'User' + Math.floor(Math.random() * 1000)) || 'Anonymous';
@@ -34,6 +72,7 @@ async function init() {
     // Initialize canvas
     const canvas = document.getElementById('canvas');
     canvasManager = new CanvasManager(canvas);
+    historyPlayer = new HistoryPlayer(canvasManager);
 
     // Initialize WebSocket
     wsClient = new WebSocketClient(window.location.origin);
@@ -41,11 +80,12 @@ async function init() {
 
     try {
         await wsClient.connect();
-        wsClient.joinRoom(roomId, userName);
+        wsClient.joinRoom(roomId, userName, invite ? { invite } : {});
 
         setupWebSocketCallbacks();
         setupCanvasCallbacks();
         setupUIHandlers();
+        setupHistoryControls();
         setupCursorTracking();
 
         showStatus('Connected', 'success');
@@ -60,6 +100,17 @@ async function init() {
  */
 function setupWebSocketCallbacks() {
     wsClient.onUserInfo = (data) => {
+        if (data.resumed) {
+            showStatus('Reconnected', 'success');
+        }
+
+        // In the room now: the invite is not needed again (reloads resume the session)
+        document.getElementById('access-screen').style.display = 'none';
+        if (new URLSearchParams(window.location.search).has('invite')) {
+            window.history.replaceState({}, '', `?room=${encodeURIComponent(wsClient.roomId)}`);
+        }
+        updatePasswordControls(data.passwordProtected);
+
         document.getElementById('user-name').textContent = data.userName;
         document.getElementById('user-color').style.backgroundColor = data.color;
 
@@ -69,6 +120,7 @@ function setupWebSocketCallbacks() {
         // Set user ID in canvas manager for permission checks
         if (canvasManager) {
             canvasManager.setUserId(data.userId);
+            applyRole(data.role);
         }
 
         // Show admin panel if user is admin
@@ -76,28 +128,81 @@ function setupWebSocketCallbacks() {
         if (data.isAdmin) {
             adminPanel.style.display = 'flex'; // Explicitly set to flex or remove property to use CSS class
             // Ideally remove property, but explicit flex ensures override if sticky
+            wsClient.requestTrash();
+            wsClient.requestRoomStats();
+            wsClient.requestCheckpoints();
+            wsClient.requestBans();
+            wsClient.requestAuditLog();
         } else {
             adminPanel.style.display = 'none';
         }
+        updateClaimOwnership();
     };
 
-    wsClient.onOperationHistory = (history) => {
-        if (history.referenceSize && history.referenceSize.width && history.referenceSize.height) {
-            canvasManager.referenceSize = {
-                width: history.referenceSize.width,
-                height: history.referenceSize.height
-            };
-            canvasManager.referenceLocked = true;
-            canvasManager.updateContentTransform();
-            wsClient.setReferenceSize(history.referenceSize);
+    wsClient.onJoinRejected = (data) => {
+        // Banned users get no password prompt
+        showAccessScreen(data.message, data.reason !== 'banned');
+    };
+
+    wsClient.onRoomAccess = (data) => {
+        updatePasswordControls(data.passwordProtected);
+        if (wsClient.isAdmin) {
+            showNotification(data.passwordProtected ? 'Room password set' : 'Room password removed');
         }
+    };
+
+    wsClient.onOwnerKey = () => {
+        updateClaimOwnership();
+        showNotification('You now own this room (your owner key is saved in this browser)');
+    };
+
+    wsClient.onOwnershipClaimed = (data) => {
+        updateClaimOwnership();
+        showNotification(`${data.userName} claimed ownership of the room`);
+    };
+
+    wsClient.onInviteCreated = (data) => {
+        const input = document.getElementById('share-link');
+        input.value = `${getRoomUrl(wsClient.roomId)}&invite=${encodeURIComponent(data.invite)}`;
+        input.select();
+        const expiresAt = new Date(data.expiresAt).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+        showNotification(`Invite link for ${data.role}s created (expires ${expiresAt})`);
+    };
+
+    wsClient.onOperationHistory = (history) => {
+        applyRoomState(history);
         canvasManager.loadOperationHistory(history);
     };
 
+    wsClient.onOperationDelta = (delta) => {
+        applyRoomState(delta);
+        canvasManager.applyOperationDelta(delta);
+    };
+
     wsClient.onDrawingUpdate = (operation) => {
         canvasManager.addOperation(operation);
     };
 
+    wsClient.onDrawingAck = (data) => {
+        canvasManager.confirmOperation(data.tempId, data.id, data.seq);
+    };
+
+    wsClient.onDeliveryFailed = () => {
+        showStatus('Some changes could not be saved', 'error');
+    };
+
+    wsClient.onDisconnected = () => {
+        showStatus('Offline - changes will be sent when reconnected', 'error', true);
+    };
+
+    wsClient.onPendingChange = (count) => {
+        if (count > 0) {
+            showStatus(`${count} change${count === 1 ? '' : 's'} pending`, 'pending', true);
+        } else {
+            showStatus('Pending changes sent', 'success');
+        }
+    };
+
     wsClient.onUserJoined = (user) => {
         showNotification(`${user.userName} joined`);
     };
@@ -109,6 +214,24 @@ function setupWebSocketCallbacks() {
 
     wsClient.onUserList = (users) => {
         updateUserList(users);
+
+        // Admin status can change hands when a previous admin resumes their session
+        const self = users.find(u => u.id === wsClient.userId);
+        if (self && self.role !== wsClient.role) {
+            wsClient.role = self.role;
+            applyRole(self.role);
+            if (self.mutedUntil) {
+                const until = new Date(self.mutedUntil).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+                showNotification(`Your drawing is muted until ${until}`);
+            } else if (!self.isAdmin) {
+                showNotification(`You are now ${/^[aeiou]/.test(self.role) ? 'an' : 'a'} ${self.role}`);
+            }
+        }
+        if (self && wsClient.isAdmin && !self.isAdmin) {
+            wsClient.isAdmin = false;
+            document.getElementById('admin-panel').style.display = 'none';
+        }
+        updateClaimOwnership();
     };
 
     wsClient.onCursorUpdate = (data) => {
@@ -116,38 +239,72 @@ function setupWebSocketCallbacks() {
     };
 
     wsClient.onUndoUpdate = (data) => {
-        // Find and mark the operation as undone
-        const operation = canvasManager.operations.find(op => op.id === data.operationId);
-        if (operation) {
-            operation.undone = true;
-        }
+        // Mark the operation as undone (reverts moves/resizes)
+        canvasManager.setOperationUndone(data.operationId, true, data.rev);
         canvasManager.redrawCanvas();
     };
 
     wsClient.onRedoUpdate = (data) => {
-        // Find and mark the operation as not undone
-        const operation = canvasManager.operations.find(op => op.id === data.operationId);
-        if (operation) {
-            operation.undone = false;
-        }
+        // Mark the operation as not undone (reapplies moves/resizes)
+        canvasManager.setOperationUndone(data.operationId, false, data.rev);
         canvasManager.redrawCanvas();
     };
 
     wsClient.onCanvasCleared = (data) => {
-        // Mark all operations by this user as undone locally
-        canvasManager.operations.forEach(op => {
-            if (op.userId === data.userId) {
-                op.undone = true;
-            }
-        });
+        // Mark the operations the server cleared as undone locally (locked ones stay)
+        data.operationIds.forEach(id => canvasManager.setOperationUndone(id, true, data.revs && data.revs[id]));
         canvasManager.redrawCanvas();
     };
 
-    wsClient.onAdminCanvasCleared = () => {
-        // Admin cleared all canvas - reset all operations
-        canvasManager.operations = [];
+    wsClient.onAdminCanvasCleared = (operation) => {
+        // Admin cleared all canvas - hide everything (restorable from the trash)
         canvasManager.activeStrokes.clear();
-        canvasManager.clearCanvas();
+        canvasManager.addOperation(operation);
+        showNotification(`Canvas cleared by ${operation.userName}`);
+    };
+
+    wsClient.onBoardImported = (data) => {
+        const action = data.mode === 'replace' ? 'replaced the board with' : 'imported';
+        showStatus(`${data.userName} ${action} ${data.count} item${data.count === 1 ? '' : 's'}`, 'success');
+    };
+
+    wsClient.onTrashList = (trash) => {
+        renderTrashList(trash);
+    };
+
+    wsClient.onRoomStats = (stats) => {
+        renderRoomStats(stats);
+    };
+
+    wsClient.onCheckpointList = (checkpoints) => {
+        renderCheckpointList(checkpoints);
+    };
+
+    wsClient.onBanList = (bans) => {
+        renderBanList(bans);
+    };
+
+    wsClient.onAuditLog = (entries) => {
+        auditLog = entries;
+        renderAuditLog();
+    };
+
+    wsClient.onAuditEntry = (entry) => {
+        auditLog.push(entry);
+        renderAuditLog();
+    };
+
+    wsClient.onCheckpointPreview = (checkpoint) => {
+        showCheckpointPreview(checkpoint);
+    };
+
+    wsClient.onCheckpointRestored = (data) => {
+        showNotification(`${data.userName} restored checkpoint "${data.name}"`);
+    };
+
+    wsClient.onRoomForked = (data) => {
+        // Continue in the copy; the original room is left as it was
+        window.location.href = `${window.location.pathname}?room=${encodeURIComponent(data.roomId)}`;
     };
 
     wsClient.onKicked = (data) => {
@@ -159,20 +316,18 @@ function setupWebSocketCallbacks() {
     wsClient.onThemeChange = (data) => {
         // Admin changed the theme for all users
         setTheme(data.theme);
+        updateThemeButtons(data.theme);
         showNotification(`Theme changed to ${data.theme}`);
+    };
 
-        // Update button states
-        const lightBtn = document.getElementById('theme-light-btn');
-        const darkBtn = document.getElementById('theme-dark-btn');
-        if (lightBtn && darkBtn) {
-            if (data.theme === 'dark') {
-                darkBtn.classList.add('active');
-                lightBtn.classList.remove('active');
-            } else {
-                lightBtn.classList.add('active');
-                darkBtn.classList.remove('active');
-            }
-        }
+    wsClient.onReadOnlyChange = (data) => {
+        applyReadOnly(data.readOnly);
+        showNotification(`${data.userName} turned presentation mode ${data.readOnly ? 'on' : 'off'}`);
+    };
+
+    wsClient.onOperationLocked = (data) => {
+        canvasManager.setOperationLocked(data.operationId, data.locked, data.rev);
+        canvasManager.redrawCanvas();
     };
 
     wsClient.onAdminPromoted = (data) => {
@@ -182,6 +337,12 @@ function setupWebSocketCallbacks() {
 
         // Update the isAdmin flag on wsClient
         wsClient.isAdmin = true;
+        wsClient.requestTrash();
+        wsClient.requestRoomStats();
+        wsClient.requestCheckpoints();
+        wsClient.requestBans();
+        wsClient.requestAuditLog();
+        updateClaimOwnership();
     };
 
     wsClient.onReferenceSize = (data) => {
@@ -192,6 +353,30 @@ function setupWebSocketCallbacks() {
     };
 }
 
+/**
+ * Apply the reference size and room settings sent with the history (or a delta)
+ */
+function applyRoomState(state) {
+    if (state.referenceSize && state.referenceSize.width && state.referenceSize.height) {
+        canvasManager.referenceSize = {
+            width: state.referenceSize.width,
+            height: state.referenceSize.height
+        };
+        canvasManager.referenceLocked = true;
+        canvasManager.updateContentTransform();
+        wsClient.setReferenceSize(state.referenceSize);
+    }
+
+    // Apply room settings persisted on the server
+    if (state.settings && state.settings.theme) {
+        setTheme(state.settings.theme);
+        updateThemeButtons(state.settings.theme);
+    }
+    if (state.settings && Boolean(state.settings.readOnly) !== roomReadOnly) {
+        applyReadOnly(Boolean(state.settings.readOnly));
+    }
+}
+
 /**
  * Setup canvas drawing callbacks
  */
@@ -572,6 +757,25 @@ function setupUIHandlers() {
         wsClient.requestRedo();
     });
 
+    document.getElementById('export-svg-btn').addEventListener('click', exportSvg);
+    document.getElementById('export-png-btn').addEventListener('click', exportPng);
+    document.getElementById('export-board-btn').addEventListener('click', exportBoard);
+
+    // Admin: import a board document
+    const importFile = document.getElementById('import-board-file');
+    document.getElementById('import-board-btn').addEventListener('click', () => importFile.click());
+    importFile.addEventListener('change', () => {
+        const file = importFile.files[0];
+        importFile.value = ''; // Allow importing the same file again
+        if (!file) return;
+
+        const mode = document.getElementById('import-mode').value;
+        if (mode === 'replace' && !confirm('Replace the board? The current drawing can be restored from the trash.')) {
+            return;
+        }
+        importBoard(file, mode);
+    });
+
     // Clear canvas (user clears only their drawings)
     document.getElementById('clear-btn').addEventListener('click', () => {
         if (confirm('Clear your drawings? Only your content will be removed.')) {
@@ -583,12 +787,57 @@ function setupUIHandlers() {
     const adminClearBtn = document.getElementById('admin-clear-all-btn');
     if (adminClearBtn) {
         adminClearBtn.addEventListener('click', () => {
-            if (confirm('Clear the canvas for everyone? This cannot be undone.')) {
+            if (confirm('Clear the canvas for everyone? You can restore it from the trash.')) {
                 wsClient.requestAdminClearAll();
             }
         });
     }
 
+    // Admin: Presentation mode and item locks
+    document.getElementById('read-only-btn').addEventListener('click', () => {
+        wsClient.setReadOnly(!roomReadOnly);
+    });
+    document.getElementById('lock-item-btn').addEventListener('click', () => {
+        const operation = canvasManager.selectedOperation;
+        if (!operation) {
+            showNotification('Select an item first');
+            return;
+        }
+        wsClient.lockOperation(operation.id, !operation.locked);
+    });
+
+    // Admin: Claim a room created before owner keys existed
+    document.getElementById('claim-ownership-btn').addEventListener('click', () => {
+        if (confirm('Claim ownership of this room? The owner key is saved in this browser.')) {
+            wsClient.claimOwnership();
+        }
+    });
+
+    // Admin: Room stats
+    document.getElementById('room-stats-btn').addEventListener('click', () => wsClient.requestRoomStats());
+
+    // Admin: Audit log downloads
+    document.getElementById('audit-csv-btn').addEventListener('click', () => downloadAuditLog('csv'));
+    document.getElementById('audit-json-btn').addEventListener('click', () => downloadAuditLog('json'));
+
+    // Admin: Checkpoints
+    const checkpointName = document.getElementById('checkpoint-name');
+    const saveCheckpoint = () => {
+        const name = checkpointName.value.trim();
+        if (!name) {
+            checkpointName.focus();
+            return;
+        }
+        wsClient.createCheckpoint(name);
+        checkpointName.value = '';
+        showStatus(`Checkpoint "${name}" saved`, 'success');
+    };
+    document.getElementById('checkpoint-save-btn').addEventListener('click', saveCheckpoint);
+    checkpointName.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') saveCheckpoint();
+    });
+    document.getElementById('checkpoint-preview-close-btn').addEventListener('click', closeCheckpointPreview);
+
     // Admin: Global Undo/Redo
     const adminUndoBtn = document.getElementById('admin-undo-btn');
     const adminRedoBtn = document.getElementById('admin-redo-btn');
@@ -666,28 +915,43 @@ function setupUIHandlers() {
                     const ctx = tempCanvas.getContext('2d');
                     ctx.drawImage(img, 0, 0, width, height);
 
-                    // Convert to slightly compressed JPEG to save bandwidth
-                    const compressDataUrl = tempCanvas.toDataURL('image/jpeg', 0.8);
-
-                    // Create image operation at clicked position
-                    const tempId = 'temp-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
-                    const operation = {
-                        type: 'image',
-                        id: tempId,
-                        userId: canvasManager.currentUserId, // Attach user ID for local ownership check
-                        data: {
-                            tempId: tempId,
-                            x: pos.x,
-                            y: pos.y,
-                            src: compressDataUrl,
-                            width: 0.3, // 30% of canvas width
-                            height: 0.3, // Will be adjusted to maintain aspect ratio
+                    // Convert to slightly compressed JPEG to save bandwidth, then upload it
+                    // as an asset; the operation only carries the asset ID
+                    tempCanvas.toBlob(async (blob) => {
+                        let assetId;
+                        try {
+                            assetId = await uploadImageAsset(blob);
+                        } catch (error) {
+                            console.error('Image upload failed:', error);
+                            showStatus('Image upload failed', 'error');
+                            return;
                         }
-                    };
 
-                    // Add locally and send to server
-                    canvasManager.addOperation(operation);
-                    sendDrawingEvent('image', operation.data);
+                        // Show the local copy straight away instead of downloading it again
+                        const uploaded = new Image();
+                        uploaded.src = tempCanvas.toDataURL('image/jpeg', 0.8);
+                        canvasManager.cacheImage(assetId, uploaded);
+
+                        // Create image operation at clicked position
+                        const tempId = 'temp-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+                        const operation = {
+                            type: 'image',
+                            id: tempId,
+                            userId: canvasManager.currentUserId, // Attach user ID for local ownership check
+                            data: {
+                                tempId: tempId,
+                                x: pos.x,
+                                y: pos.y,
+                                assetId: assetId,
+                                width: 0.3, // 30% of canvas width
+                                height: 0.3, // Will be adjusted to maintain aspect ratio
+                            }
+                        };
+
+                        // Add locally and send to server
+                        canvasManager.addOperation(operation);
+                        sendDrawingEvent('image', operation.data);
+                    }, 'image/jpeg', 0.8);
                 };
                 img.src = event.target.result;
             };
@@ -718,6 +982,36 @@ function setupUIHandlers() {
         });
     }
 
+    // Duplicate the board into a new room
+    document.getElementById('duplicate-board-btn').addEventListener('click', () => duplicateBoard());
+
+    // Invite links (admins) and the room password (owner)
+    document.getElementById('create-invite-btn').addEventListener('click', () => {
+        const role = document.getElementById('invite-role').value;
+        const ttl = parseInt(document.getElementById('invite-expiry').value, 10);
+        wsClient.createInvite(role, ttl);
+    });
+
+    document.getElementById('set-password-btn').addEventListener('click', () => {
+        const input = document.getElementById('room-password');
+        if (!input.value) return;
+        wsClient.setRoomPassword(input.value);
+        input.value = '';
+    });
+
+    document.getElementById('remove-password-btn').addEventListener('click', () => {
+        if (confirm('Remove the room password? Anyone with the link can join again.')) {
+            wsClient.setRoomPassword(null);
+        }
+    });
+
+    // Join a protected room with its password
+    document.getElementById('access-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const password = document.getElementById('access-password').value;
+        wsClient.joinRoom(wsClient.roomId, wsClient.userName, { password });
+    });
+
     // Copy share link
     document.getElementById('copy-link-btn').addEventListener('click', () => {
         const input = document.getElementById('share-link');
@@ -735,6 +1029,23 @@ function setTheme(theme) {
     document.body.classList.add(theme + '-theme');
 }
 
+/**
+ * Sync the admin theme toggle buttons with the active theme
+ */
+function updateThemeButtons(theme) {
+    const lightBtn = document.getElementById('theme-light-btn');
+    const darkBtn = document.getElementById('theme-dark-btn');
+    if (!lightBtn || !darkBtn) return;
+
+    if (theme === 'dark') {
+        darkBtn.classList.add('active');
+        lightBtn.classList.remove('active');
+    } else {
+        lightBtn.classList.add('active');
+        darkBtn.classList.remove('active');
+    }
+}
+
 /**
  * Setup cursor tracking and rendering
  */
@@ -839,35 +1150,176 @@ function updateUserList(users) {
         userItem.className = 'user-item';
 
         let adminBadge = '';
-        if (user.isAdmin) {
+        if (user.role === 'owner') {
+            adminBadge = '<span class="user-admin-badge" title="Owner">Owner</span>';
+        } else if (user.isAdmin) {
             adminBadge = '<span class="user-admin-badge" title="Admin">Admin</span>';
+        } else if (user.mutedUntil) {
+            const until = new Date(user.mutedUntil).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            adminBadge = `<span class="user-role-badge" title="Muted until ${until}">muted</span>`;
+        } else if (user.role !== 'editor') {
+            adminBadge = `<span class="user-role-badge">${user.role}</span>`;
         }
 
         let adminActions = '';
 
         // Show admin actions if current user is admin and target is not self
         if (isCurrentUserAdmin && user.id !== currentUserId) {
-            adminActions = `
-                <div class="user-actions">
+            const roleSelect = user.isAdmin ? '' : `
+                    <select class="user-role-select" onchange="setUserRole('${user.id}', this.value)" title="Role">
+                        ${ASSIGNABLE_ROLES.map(role => `<option value="${role}"${role === user.role ? ' selected' : ''}>${role}</option>`).join('')}
+                    </select>`;
+            let adminToggle = '';
+            if (!user.isAdmin) {
+                adminToggle = `
+                    <button class="user-action-btn" onclick="setUserAdmin('${user.id}', true)" title="Make Admin">
+                        <i class="fa-solid fa-user-shield"></i>
+                    </button>
+                    <button class="user-action-btn" onclick="transferAdmin('${user.id}')" title="Hand Over Admin">
+                        <i class="fa-solid fa-people-arrows"></i>
+                    </button>`;
+            } else if (user.role === 'admin') {
+                adminToggle = `
+                    <button class="user-action-btn kick" onclick="setUserAdmin('${user.id}', false)" title="Revoke Admin">
+                        <i class="fa-solid fa-user-minus"></i>
+                    </button>`;
+            }
+            let muteButton = '';
+            if (user.mutedUntil) {
+                muteButton = `
+                    <button class="user-action-btn" onclick="unmuteUser('${user.id}')" title="Unmute">
+                        <i class="fa-solid fa-pen"></i>
+                    </button>`;
+            } else if (!user.isAdmin) {
+                muteButton = `
+                    <button class="user-action-btn kick" onclick="muteUser('${user.id}')" title="Mute Drawing">
+                        <i class="fa-solid fa-hand"></i>
+                    </button>`;
+            }
+            const kickButton = user.role === 'owner' ? '' : `
                     <button class="user-action-btn kick" onclick="kickUser('${user.id}')" title="Kick User">
                         <i class="fa-solid fa-user-xmark"></i>
                     </button>
+                    <button class="user-action-btn kick" onclick="banUser('${user.id}')" title="Ban User">
+                        <i class="fa-solid fa-ban"></i>
+                    </button>`;
+            adminActions = `
+                <div class="user-actions">${roleSelect}${adminToggle}${muteButton}${kickButton}
                 </div>
             `;
         }
 
         userItem.innerHTML = `
             <div class="user-color" style="background-color: ${user.color}"></div>
-            <span class="user-name">${user.name}</span>
+            <span class="user-name"></span>
             ${adminBadge}
             ${adminActions}
         `;
+        userItem.querySelector('.user-name').textContent = user.name;
         userList.appendChild(userItem);
     });
 
     document.getElementById('user-count').textContent = users.length;
 }
 
+/**
+ * Admin: Change a user's role
+ */
+function setUserRole(userId, role) {
+    wsClient.setUserRole(userId, role);
+}
+
+/**
+ * Admin: Make a user a co-admin, or revoke their admin rights
+ */
+function setUserAdmin(userId, isAdmin) {
+    wsClient.setUserAdmin(userId, isAdmin);
+}
+
+/**
+ * Admin: Hand over our admin rights (we become an editor; the owner stays owner)
+ */
+function transferAdmin(userId) {
+    const message = wsClient.role === 'owner'
+        ? 'Make this user an admin? You stay the owner.'
+        : 'Hand over your admin rights to this user? You will become an editor.';
+    if (confirm(message)) {
+        wsClient.transferAdmin(userId);
+    }
+}
+
+/**
+ * Enable the tools and actions the user's role allows
+ * Viewers can only select, pan and zoom; commenters can also add text.
+ * In presentation mode everyone is limited like a viewer.
+ */
+function applyRole(role) {
+    const isAdmin = role === 'owner' || role === 'admin';
+    const tools = roomReadOnly ? ROLE_TOOLS.viewer : (ROLE_TOOLS[role] || null);
+    canvasManager.setPermissions(tools, tools === null, isAdmin);
+
+    document.querySelectorAll('.tool-btn').forEach(btn => {
+        btn.disabled = tools !== null && !tools.includes(btn.dataset.tool);
+        btn.classList.toggle('active', btn.dataset.tool === canvasManager.currentTool);
+    });
+    ['undo-btn', 'redo-btn', 'clear-btn'].forEach(id => {
+        document.getElementById(id).disabled = role === 'viewer' || roomReadOnly;
+    });
+    document.getElementById('duplicate-board-btn').disabled = role === 'viewer';
+
+    // Admins hand out invite links; only the owner sets the password
+    document.getElementById('invite-controls').style.display = isAdmin ? 'flex' : 'none';
+    document.getElementById('password-controls').style.display = role === 'owner' ? 'flex' : 'none';
+}
+
+/**
+ * Switch presentation mode on or off for this client
+ */
+function applyReadOnly(readOnly) {
+    roomReadOnly = readOnly;
+    applyRole(wsClient.role);
+    ['admin-undo-btn', 'admin-redo-btn', 'admin-clear-all-btn', 'import-board-btn'].forEach(id => {
+        document.getElementById(id).disabled = readOnly;
+    });
+
+    const button = document.getElementById('read-only-btn');
+    button.classList.toggle('active', readOnly);
+    button.querySelector('span').textContent = readOnly ? 'Allow Drawing' : 'Read-Only';
+}
+
+/**
+ * Offer admins to claim a room that has no owner yet
+ */
+function updateClaimOwnership() {
+    const show = wsClient.isAdmin && wsClient.ownerless;
+    document.getElementById('claim-ownership-btn').style.display = show ? 'block' : 'none';
+}
+
+/**
+ * Link to a room (without an invite)
+ */
+function getRoomUrl(roomId) {
+    return `${window.location.origin}${window.location.pathname}?room=${encodeURIComponent(roomId)}`;
+}
+
+/**
+ * Show the password prompt instead of the board (just the message for banned users)
+ */
+function showAccessScreen(message, askPassword = true) {
+    document.getElementById('access-message').textContent = message;
+    document.getElementById('access-screen').style.display = 'flex';
+
+    const input = document.getElementById('access-password');
+    input.style.display = askPassword ? '' : 'none';
+    document.querySelector('#access-form button').style.display = askPassword ? '' : 'none';
+    input.value = '';
+    if (askPassword) input.focus();
+}
+
+function updatePasswordControls(passwordProtected) {
+    document.getElementById('room-password').placeholder = passwordProtected ? 'Password set' : 'No password';
+}
+
 /**
  * Admin: Kick user
  */
@@ -877,23 +1329,491 @@ function kickUser(userId) {
     }
 }
 
+/**
+ * Admin: Ban a user with the duration chosen in the admin panel
+ */
+function banUser(userId) {
+    const duration = parseInt(document.getElementById('ban-duration').value, 10);
+    const byIp = document.getElementById('ban-ip').checked;
+    if (confirm('Ban this user? They are removed and cannot join again until the ban is lifted or runs out.')) {
+        wsClient.banUser(userId, duration, byIp);
+    }
+}
+
+/**
+ * Admin: Mute a user's drawing for the time chosen in the admin panel
+ */
+function muteUser(userId) {
+    wsClient.muteUser(userId, parseInt(document.getElementById('mute-minutes').value, 10));
+}
+
+function unmuteUser(userId) {
+    wsClient.unmuteUser(userId);
+}
+
+/**
+ * Admin: Render active bans, each with a button to lift it
+ */
+function renderBanList(bans) {
+    const banList = document.getElementById('ban-list');
+    if (!banList) return;
+
+    if (!bans || bans.length === 0) {
+        banList.innerHTML = '<div class="trash-empty">No bans</div>';
+        return;
+    }
+
+    banList.innerHTML = '';
+    bans.forEach(ban => {
+        const item = document.createElement('div');
+        item.className = 'trash-item';
+
+        const until = ban.expiresAt
+            ? 'until ' + new Date(ban.expiresAt).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })
+            : 'permanent';
+        item.innerHTML = `
+            <div class="trash-info">
+                <span class="trash-time"></span>
+                <span class="trash-meta"></span>
+            </div>
+            <button class="trash-restore-btn" title="Lift ban">
+                <i class="fa-solid fa-unlock"></i>
+            </button>
+        `;
+        // Names are user input, so they are set as text
+        item.querySelector('.trash-time').textContent = ban.userName;
+        item.querySelector('.trash-meta').textContent = `${until}${ban.byIp ? ' · IP' : ''} · by ${ban.bannedBy}`;
+
+        item.querySelector('.trash-restore-btn').addEventListener('click', () => {
+            wsClient.liftBan(ban.id);
+        });
+        banList.appendChild(item);
+    });
+}
+
+const AUDIT_LIST_SIZE = 50; // Most recent entries shown in the admin panel (downloads have all)
+
+/**
+ * Admin: Render the most recent audit log entries, newest first
+ */
+function renderAuditLog() {
+    const auditList = document.getElementById('audit-list');
+    if (!auditList) return;
+
+    if (auditLog.length === 0) {
+        auditList.innerHTML = '<div class="trash-empty">No admin actions yet</div>';
+        return;
+    }
+
+    auditList.innerHTML = '';
+    auditLog.slice(-AUDIT_LIST_SIZE).reverse().forEach(entry => {
+        const item = document.createElement('div');
+        item.className = 'trash-item';
+        item.innerHTML = `
+            <div class="trash-info">
+                <span class="trash-time"></span>
+                <span class="trash-meta"></span>
+            </div>
+        `;
+
+        const time = new Date(entry.time).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+        const details = Object.entries(entry.details || {})
+            .filter(([, value]) => value !== null && value !== undefined)
+            .map(([key, value]) => `${key}: ${value}`)
+            .join(', ');
+        // Names are user input, so they are set as text
+        item.querySelector('.trash-time').textContent =
+            `${entry.userName} · ${entry.action}${entry.targetName ? ' · ' + entry.targetName : ''}`;
+        item.querySelector('.trash-meta').textContent = details ? `${time} · ${details}` : time;
+        auditList.appendChild(item);
+    });
+}
+
+/**
+ * Admin: Download the audit log as 'csv' or 'json'
+ */
+function downloadAuditLog(format) {
+    const filename = `canvas-${wsClient.roomId}-audit.${format}`;
+    if (format === 'json') {
+        downloadBlob(new Blob([JSON.stringify(auditLog, null, 2)], { type: 'application/json' }), filename);
+        return;
+    }
+
+    // Quote every cell; cells that a spreadsheet would run as a formula get a leading '
+    const cell = (value) => {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (/^[=+\-@]/.test(text)) text = "'" + text;
+        return '"' + text.replace(/"/g, '""') + '"';
+    };
+    const columns = ['time', 'action', 'userId', 'userName', 'targetId', 'targetName', 'details'];
+    const rows = auditLog.map(entry => [
+        new Date(entry.time).toISOString(),
+        entry.action,
+        entry.userId,
+        entry.userName,
+        entry.targetId,
+        entry.targetName,
+        JSON.stringify(entry.details || {})
+    ].map(cell).join(','));
+
+    const csv = [columns.join(','), ...rows].join('\r\n');
+    downloadBlob(new Blob([csv], { type: 'text/csv' }), filename);
+}
+
+/**
+ * Admin: Render cleared canvases that can be restored
+ */
+function renderTrashList(trash) {
+    const trashList = document.getElementById('trash-list');
+    if (!trashList) return;
+
+    if (!trash || trash.length === 0) {
+        trashList.innerHTML = '<div class="trash-empty">No cleared canvases</div>';
+        return;
+    }
+
+    trashList.innerHTML = '';
+    trash.forEach(entry => {
+        const trashItem = document.createElement('div');
+        trashItem.className = 'trash-item';
+
+        const clearedAt = new Date(entry.clearedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        trashItem.innerHTML = `
+            <div class="trash-info">
+                <span class="trash-time">${clearedAt}</span>
+                <span class="trash-meta"></span>
+            </div>
+            <button class="trash-restore-btn" onclick="restoreTrash('${entry.id}')" title="Restore">
+                <i class="fa-solid fa-rotate-left"></i>
+            </button>
+        `;
+        // Names are user input, so they are set as text
+        trashItem.querySelector('.trash-meta').textContent = `${entry.operationCount} items · ${entry.clearedBy}`;
+        trashList.appendChild(trashItem);
+    });
+}
+
+/**
+ * Admin: Show operation counts and rate-limited events for the room
+ */
+function renderRoomStats(stats) {
+    const { drawingStats, rateLimits } = stats;
+    document.getElementById('room-stats').textContent =
+        `${drawingStats.activeOperations}/${drawingStats.totalOperations} operations active · ` +
+        `rate limits: ${rateLimits.dropped} dropped, ${rateLimits.warnings} warnings, ${rateLimits.disconnects} disconnects`;
+}
+
+/**
+ * Admin: Restore a cleared canvas from the trash
+ */
+function restoreTrash(clearId) {
+    wsClient.restoreFromTrash(clearId);
+}
+
 /**
  * Admin: Transfer admin rights
  */
 // Expose functions to global scope for HTML onclick handlers
 window.kickUser = kickUser;
+window.setUserRole = setUserRole;
+window.restoreTrash = restoreTrash;
 
 // changeUserColor function removed as individual color changing is deprecated in favor of theme toggling
 
+/**
+ * Download the board as an SVG file
+ */
+async function exportSvg() {
+    try {
+        const svg = await new BoardExporter(canvasManager).exportSvg();
+        downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `canvas-${wsClient.roomId}.svg`);
+    } catch (error) {
+        console.error('SVG export failed:', error);
+        showStatus('Export failed', 'error');
+    }
+}
+
+/**
+ * Download the board (or the current view) as a PNG at the chosen resolution
+ */
+async function exportPng() {
+    const scale = Number(document.getElementById('export-scale').value);
+    try {
+        const result = await new BoardExporter(canvasManager).exportPng({
+            area: document.getElementById('export-area').value,
+            scale,
+            transparent: document.getElementById('export-transparent').checked
+        });
+        downloadBlob(result.blob, `canvas-${wsClient.roomId}@${scale}x.png`);
+        if (result.scale < scale) {
+            showStatus(`Board too large, exported at ${result.scale.toFixed(1)}x`, 'pending');
+        }
+    } catch (error) {
+        console.error('PNG export failed:', error);
+        showStatus('Export failed', 'error');
+    }
+}
+
+/**
+ * Download the board as a JSON document (with its images) for backups and imports
+ */
+async function exportBoard() {
+    try {
+        // Password-protected rooms need the access token from user-info
+        const access = wsClient.accessToken ? `?access=${encodeURIComponent(wsClient.accessToken)}` : '';
+        const response = await fetch(`/rooms/${encodeURIComponent(wsClient.roomId)}/export.json${access}`);
+        if (!response.ok) throw new Error(`Export failed with status ${response.status}`);
+        downloadBlob(await response.blob(), `canvas-${wsClient.roomId}.json`);
+    } catch (error) {
+        console.error('Board export failed:', error);
+        showStatus('Export failed', 'error');
+    }
+}
+
+/**
+ * Admin: Import a board document into this room
+ * Its images are uploaded as assets first; the socket event only carries the drawing.
+ */
+async function importBoard(file, mode) {
+    try {
+        const boardDocument = JSON.parse(await file.text());
+        const assetIds = Object.keys(boardDocument.assets || {});
+
+        // A board with missing images is not imported at all
+        const failed = await uploadBoardAssets(boardDocument.assets || {});
+        if (failed.length > 0) {
+            showStatus(`Import failed: ${failed.length} of ${assetIds.length} images could not be uploaded`, 'error');
+            return;
+        }
+
+        wsClient.importBoard({ ...boardDocument, assets: {} }, mode);
+        showStatus('Importing board...', 'pending');
+    } catch (error) {
+        console.error('Board import failed:', error);
+        showStatus('Import failed: not a valid board file', 'error');
+    }
+}
+
+/**
+ * Upload a board document's images, skipping those the server already has
+ * Uploads over the rate limit wait as long as the server asks and are tried again.
+ * Returns the IDs of the images that could not be uploaded.
+ */
+async function uploadBoardAssets(assets) {
+    const entries = Object.entries(assets);
+    const failed = [];
+
+    for (let i = 0; i < entries.length; i++) {
+        const [assetId, asset] = entries[i];
+        showStatus(`Uploading images ${i + 1}/${entries.length}...`, 'pending', true);
+        try {
+            const existing = await fetch(`/api/assets/${encodeURIComponent(assetId)}`, { method: 'HEAD' });
+            if (existing.ok) continue;
+
+            const blob = await (await fetch(`data:${asset.type};base64,${asset.data}`)).blob();
+            let uploadedId = null;
+            for (let attempt = 1; !uploadedId; attempt++) {
+                try {
+                    uploadedId = await uploadImageAsset(blob);
+                } catch (error) {
+                    if (error.status !== 429 || attempt >= IMPORT_UPLOAD_ATTEMPTS) throw error;
+                    await new Promise(resolve => setTimeout(resolve, error.retryAfter * 1000));
+                }
+            }
+            if (uploadedId !== assetId) throw new Error(`Image ${assetId} does not match its contents`);
+        } catch (error) {
+            console.error('Image upload failed:', assetId, error);
+            failed.push(assetId);
+        }
+    }
+    return failed;
+}
+
+/**
+ * Wire the history panel: scrub through the operation log or play it as a time-lapse
+ * Drawing is disabled while a past state is shown; live changes keep arriving underneath.
+ */
+function setupHistoryControls() {
+    const toggleBtn = document.getElementById('history-toggle-btn');
+    const controls = document.getElementById('history-controls');
+    const slider = document.getElementById('history-slider');
+    const label = document.getElementById('history-label');
+    const playBtn = document.getElementById('history-play-btn');
+
+    historyPlayer.onPositionChange = (position, total, step) => {
+        slider.max = total;
+        slider.value = position;
+
+        label.innerHTML = '';
+        if (!step) {
+            label.textContent = total === 0 ? 'Nothing drawn yet' : 'Empty board';
+            return;
+        }
+
+        const dot = document.createElement('div');
+        dot.className = 'user-color';
+        dot.style.backgroundColor = step.userColor || '#999999';
+        const text = document.createElement('span');
+        const time = step.timestamp ? ` at ${new Date(step.timestamp).toLocaleTimeString()}` : '';
+        text.textContent = `${step.userName || 'Someone'} ${historyPlayer.describe(step)}${time}`;
+        label.append(dot, text);
+    };
+
+    historyPlayer.onPlaybackChange = (playing) => {
+        playBtn.innerHTML = playing
+            ? '<i class="fa-solid fa-pause"></i> Pause'
+            : '<i class="fa-solid fa-play"></i> Play';
+    };
+
+    toggleBtn.addEventListener('click', () => {
+        if (historyPlayer.active) {
+            closeHistory();
+        } else {
+            openHistory();
+        }
+    });
+
+    slider.addEventListener('input', () => {
+        historyPlayer.pause();
+        historyPlayer.seek(Number(slider.value));
+    });
+
+    playBtn.addEventListener('click', () => {
+        if (historyPlayer.playing) {
+            historyPlayer.pause();
+        } else {
+            historyPlayer.play();
+        }
+    });
+
+    document.getElementById('history-speed').addEventListener('change', (e) => {
+        historyPlayer.setSpeed(Number(e.target.value));
+    });
+}
+
+/**
+ * Show the history panel's controls at the latest step
+ */
+function openHistory() {
+    if (previewedCheckpoint) closeCheckpointPreview();
+
+    historyPlayer.open();
+    document.getElementById('history-controls').style.display = 'flex';
+    document.getElementById('history-toggle-btn').innerHTML = '<i class="fa-solid fa-tower-broadcast"></i> Back to Live';
+    showStatus('Viewing history - drawing is disabled', 'pending', true);
+}
+
+/**
+ * Leave history replay and show the live board
+ */
+function closeHistory() {
+    historyPlayer.close();
+    document.getElementById('history-controls').style.display = 'none';
+    document.getElementById('history-toggle-btn').innerHTML = '<i class="fa-solid fa-clock-rotate-left"></i> View History';
+    showStatus('Back to live', 'success');
+}
+
+/**
+ * Admin: Render saved checkpoints with preview and restore actions
+ */
+function renderCheckpointList(checkpoints) {
+    const checkpointList = document.getElementById('checkpoint-list');
+    if (!checkpointList) return;
+
+    if (!checkpoints || checkpoints.length === 0) {
+        checkpointList.innerHTML = '<div class="trash-empty">No checkpoints</div>';
+        return;
+    }
+
+    checkpointList.innerHTML = '';
+    checkpoints.forEach(entry => {
+        const item = document.createElement('div');
+        item.className = 'trash-item';
+
+        const createdAt = new Date(entry.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        item.innerHTML = `
+            <div class="trash-info">
+                <span class="trash-time"></span>
+                <span class="trash-meta"></span>
+            </div>
+            <button class="trash-restore-btn" data-action="preview" title="Preview">
+                <i class="fa-solid fa-eye"></i>
+            </button>
+            <button class="trash-restore-btn" data-action="fork" title="Duplicate into a new room">
+                <i class="fa-solid fa-code-branch"></i>
+            </button>
+            <button class="trash-restore-btn" data-action="restore" title="Restore">
+                <i class="fa-solid fa-rotate-left"></i>
+            </button>
+        `;
+        // Names are user input, so they are set as text
+        item.querySelector('.trash-time').textContent = entry.name;
+        item.querySelector('.trash-meta').textContent = `${createdAt} · ${entry.operationCount} items · ${entry.createdBy}`;
+
+        item.querySelector('[data-action="preview"]').addEventListener('click', () => {
+            wsClient.previewCheckpoint(entry.id);
+        });
+        item.querySelector('[data-action="fork"]').addEventListener('click', () => {
+            duplicateBoard(entry.id);
+        });
+        item.querySelector('[data-action="restore"]').addEventListener('click', () => {
+            if (confirm(`Restore the board to "${entry.name}" for everyone? You can undo this or restore the current board from the trash.`)) {
+                if (previewedCheckpoint) closeCheckpointPreview();
+                wsClient.restoreCheckpoint(entry.id);
+            }
+        });
+        checkpointList.appendChild(item);
+    });
+}
+
+/**
+ * Copy the board (or a checkpoint) into a new room and move there
+ */
+function duplicateBoard(checkpointId = null) {
+    const message = checkpointId
+        ? 'Create a new room from this checkpoint? This room stays as it is.'
+        : 'Create a new room with a copy of this board? This room stays as it is.';
+    if (!confirm(message)) return;
+
+    wsClient.forkRoom(checkpointId);
+    showStatus('Duplicating board...', 'pending', true);
+}
+
+/**
+ * Admin: Show a checkpoint read-only in place of the live board
+ */
+function showCheckpointPreview(checkpoint) {
+    if (historyPlayer.active) closeHistory();
+
+    previewedCheckpoint = checkpoint;
+    canvasManager.setReplayOperations(checkpoint.operations);
+    document.getElementById('checkpoint-preview-close-btn').style.display = 'block';
+    showStatus(`Previewing "${checkpoint.name}" - drawing is disabled`, 'pending', true);
+}
+
+/**
+ * Admin: Go back to the live board after previewing a checkpoint
+ */
+function closeCheckpointPreview() {
+    previewedCheckpoint = null;
+    canvasManager.setReplayOperations(null);
+    document.getElementById('checkpoint-preview-close-btn').style.display = 'none';
+    showStatus('Back to live', 'success');
+}
+
 /**
  * Show status message
+ * Sticky messages stay until the next status replaces them
  */
-function showStatus(message, type) {
+function showStatus(message, type, sticky = false) {
     const status = document.getElementById('status');
     status.textContent = message;
     status.className = `status ${type}`;
 
-    setTimeout(() => {
+    clearTimeout(statusTimer);
+    if (sticky) return;
+
+    statusTimer = setTimeout(() => {
         status.className = 'status';
     }, 3000);
 }
@@ -3,6 +3,9 @@
  * Handles WebSocket connection and event streaming
  */
 
+// Drawing event types the server stores and acknowledges
+const ACKED_EVENT_TYPES = ['draw', 'shape', 'text', 'image', 'move', 'resize'];
+
 class WebSocketClient {
     constructor(serverUrl) {
         this.serverUrl = serverUrl;
@@ -12,17 +15,45 @@ class WebSocketClient {
         this.userId = null;
         this.userName = null;
         this.userColor = null;
+        this.role = null; // Room role: owner, admin, editor, commenter or viewer
         this.referenceSize = null;
 
+        // Session resume
+        this.sessionToken = null; // Issued in user-info, reclaims this user after a reconnect
+        this.credentials = {}; // Room password or invite token sent with join-room
+        this.accessToken = null; // Issued in user-info, for HTTP exports of a protected room
+        this.ownerKey = null; // Makes us owner on join; kept in localStorage per room
+        this.ownerless = false; // Room has no owner key yet (admins can claim it)
+        this.lastSeq = 0; // Highest room sequence number seen (for delta catch-up)
+
         // Event batching
         this.eventBatch = [];
         this.batchInterval = null;
         this.lastEmitTime = 0;
         this.BATCH_DELAY = 16; // ~60fps
 
+        // Delivery acknowledgements
+        this.pendingAcks = new Map(); // tempId -> { type, data, sentAt, attempts }
+        this.ackTimer = null;
+        this.ACK_TIMEOUT = 5000; // Resend if not acknowledged within 5s
+        this.ACK_CHECK_INTERVAL = 1000;
+        this.MAX_RETRIES = 5;
+
+        // Outbound queue: events made while disconnected, replayed in order on reconnect
+        this.outbox = []; // [{ event, payload }]
+        this.drainTimer = null;
+        this.DRAIN_BATCH = 40; // Events per batch, kept under the server's rate limits
+        this.DRAIN_INTERVAL = 1000;
+
         // Callbacks
         this.onUserInfo = null;
+        this.onJoinRejected = null;
+        this.onRoomAccess = null;
+        this.onInviteCreated = null;
+        this.onOwnerKey = null;
+        this.onOwnershipClaimed = null;
         this.onOperationHistory = null;
+        this.onOperationDelta = null;
         this.onDrawingUpdate = null;
         this.onUserJoined = null;
         this.onUserLeft = null;
@@ -34,8 +65,23 @@ class WebSocketClient {
         this.onAdminCanvasCleared = null;
         this.onKicked = null;
         this.onThemeChange = null;
+        this.onReadOnlyChange = null;
+        this.onOperationLocked = null;
         this.onAdminPromoted = null;
+        this.onTrashList = null;
+        this.onRoomStats = null;
+        this.onBoardImported = null;
+        this.onCheckpointList = null;
+        this.onBanList = null;
+        this.onAuditLog = null;
+        this.onAuditEntry = null;
+        this.onCheckpointPreview = null;
+        this.onCheckpointRestored = null;
+        this.onRoomForked = null;
         this.onReferenceSize = null;
+        this.onDrawingAck = null;
+        this.onDeliveryFailed = null;
+        this.onPendingChange = null;
         this.onConnected = null;
         this.onDisconnected = null;
     }
@@ -51,6 +97,13 @@ class WebSocketClient {
                 this.socket.on('connect', () => {
                     console.log('Connected to server');
                     this.connected = true;
+                    this.startAckTimer();
+
+                    // Socket.io reconnected: rejoin as the same user, catch up and send what was queued
+                    if (this.roomId && this.sessionToken) {
+                        this.rejoinRoom();
+                        this.flushOutbox();
+                    }
                     if (this.onConnected) this.onConnected();
                     resolve();
                 });
@@ -63,6 +116,13 @@ class WebSocketClient {
 
                 this.socket.on('error', (error) => {
                     console.error('Socket error:', error);
+
+                    // A rejected drawing event will never be acknowledged; stop resending it
+                    if (error && error.tempId && this.pendingAcks.has(error.tempId)) {
+                        const pending = this.pendingAcks.get(error.tempId);
+                        this.pendingAcks.delete(error.tempId);
+                        if (this.onDeliveryFailed) this.onDeliveryFailed({ tempId: error.tempId, type: pending.type, data: pending.data, error });
+                    }
                     reject(error);
                 });
 
@@ -84,19 +144,63 @@ class WebSocketClient {
             this.userId = data.userId;
             this.userName = data.userName;
             this.userColor = data.color;
+            this.role = data.role || 'editor';
             this.isAdmin = data.isAdmin || false;
+            this.sessionToken = data.sessionToken || null;
+            this.accessToken = data.accessToken || null;
+            this.ownerless = data.ownerless || false;
+            if (data.ownerKey) this.saveOwnerKey(this.roomId, data.ownerKey);
+            this.saveSession();
             console.log('User info received:', data);
             if (this.onUserInfo) this.onUserInfo(data);
         });
 
+        // The room needs a password, or the invite link is not valid (anymore)
+        this.socket.on('join-rejected', (data) => {
+            if (this.onJoinRejected) this.onJoinRejected(data);
+        });
+
+        // The owner set or removed the room password (earlier access tokens no longer work)
+        this.socket.on('room-access', (data) => {
+            this.accessToken = data.accessToken || null;
+            if (this.onRoomAccess) this.onRoomAccess(data);
+        });
+
+        // We claimed ownership of the room: keep the new owner key
+        this.socket.on('owner-key', (data) => {
+            this.saveOwnerKey(data.roomId, data.ownerKey);
+            this.ownerless = false;
+            if (this.onOwnerKey) this.onOwnerKey(data);
+        });
+
+        // Another admin claimed ownership of the room
+        this.socket.on('ownership-claimed', (data) => {
+            this.ownerless = false;
+            if (this.onOwnershipClaimed) this.onOwnershipClaimed(data);
+        });
+
+        // An invite link token we asked for
+        this.socket.on('invite-created', (data) => {
+            if (this.onInviteCreated) this.onInviteCreated(data);
+        });
+
         // Operation history (for new users)
         this.socket.on('operation-history', (history) => {
             console.log('Operation history received:', history.operations.length, 'operations');
+            this.lastSeq = history.sequence || 0;
             if (this.onOperationHistory) this.onOperationHistory(history);
         });
 
+        // Operations added or changed since our last sequence number (after a reconnect)
+        this.socket.on('operation-delta', (delta) => {
+            console.log('Operation delta received:', delta.operations.length, 'operations since', delta.sinceSeq);
+            this.trackSequence(delta.sequence);
+            if (this.onOperationDelta) this.onOperationDelta(delta);
+        });
+
         // Drawing update from other users
         this.socket.on('drawing-update', (operation) => {
+            this.trackSequence(operation.seq);
             if (this.onDrawingUpdate) this.onDrawingUpdate(operation);
         });
 
@@ -138,8 +242,58 @@ class WebSocketClient {
         });
 
         // Admin cleared all canvas
-        this.socket.on('admin-canvas-cleared', () => {
-            if (this.onAdminCanvasCleared) this.onAdminCanvasCleared();
+        this.socket.on('admin-canvas-cleared', (operation) => {
+            if (this.onAdminCanvasCleared) this.onAdminCanvasCleared(operation);
+        });
+
+        // Trash list (admins only)
+        this.socket.on('trash-list', (trash) => {
+            if (this.onTrashList) this.onTrashList(trash);
+        });
+
+        // Room statistics (admins only)
+        this.socket.on('room-stats', (stats) => {
+            if (this.onRoomStats) this.onRoomStats(stats);
+        });
+
+        // An admin imported a board document (the new history arrives separately)
+        this.socket.on('board-imported', (data) => {
+            if (this.onBoardImported) this.onBoardImported(data);
+        });
+
+        // Checkpoint list (admins only)
+        this.socket.on('checkpoint-list', (checkpoints) => {
+            if (this.onCheckpointList) this.onCheckpointList(checkpoints);
+        });
+
+        // The room's audit log, and new entries as they happen (admins only)
+        this.socket.on('audit-log', (entries) => {
+            if (this.onAuditLog) this.onAuditLog(entries);
+        });
+
+        this.socket.on('audit-entry', (entry) => {
+            if (this.onAuditEntry) this.onAuditEntry(entry);
+        });
+
+        // Active bans (admins only)
+        this.socket.on('ban-list', (bans) => {
+            if (this.onBanList) this.onBanList(bans);
+        });
+
+        // A checkpoint's operations, for previewing it
+        this.socket.on('checkpoint-preview', (checkpoint) => {
+            if (this.onCheckpointPreview) this.onCheckpointPreview(checkpoint);
+        });
+
+        // An admin restored a checkpoint (the new history arrives separately)
+        this.socket.on('checkpoint-restored', (data) => {
+            if (this.onCheckpointRestored) this.onCheckpointRestored(data);
+        });
+
+        // Our copy of the board is ready in a new room
+        this.socket.on('room-forked', (data) => {
+            if (data.ownerKey) this.saveOwnerKey(data.roomId, data.ownerKey);
+            if (this.onRoomForked) this.onRoomForked(data);
         });
 
         // Kicked by admin
@@ -152,6 +306,16 @@ class WebSocketClient {
             if (this.onThemeChange) this.onThemeChange(data);
         });
 
+        // Admin turned read-only (presentation) mode on or off
+        this.socket.on('read-only-change', (data) => {
+            if (this.onReadOnlyChange) this.onReadOnlyChange(data);
+        });
+
+        // Admin locked or unlocked an operation
+        this.socket.on('operation-locked', (data) => {
+            if (this.onOperationLocked) this.onOperationLocked(data);
+        });
+
         // Promoted to admin
         this.socket.on('admin-promoted', (data) => {
             if (this.onAdminPromoted) this.onAdminPromoted(data);
@@ -161,33 +325,312 @@ class WebSocketClient {
         this.socket.on('reference-size', (data) => {
             if (this.onReferenceSize) this.onReferenceSize(data);
         });
+
+        // Server stored one of our drawing events
+        this.socket.on('drawing-ack', (data) => {
+            this.acknowledge(data);
+            if (this.onDrawingAck) this.onDrawingAck(data);
+        });
+    }
+
+    /**
+     * Apply a drawing ack: stop tracking the event, point queued moves and resizes of
+     * the operation at its server ID, and send whatever was waiting for it
+     */
+    acknowledge({ tempId, id, seq }) {
+        this.pendingAcks.delete(tempId);
+        this.trackSequence(seq);
+
+        let remapped = false;
+        this.outbox.forEach(({ event, payload }) => {
+            if (event === 'drawing-event' && payload.data.operationId === tempId) {
+                payload.data.operationId = id;
+                remapped = true;
+            }
+        });
+        if (remapped) this.saveSession();
+
+        if (!this.drainTimer) this.drainOutbox();
+    }
+
+    /**
+     * Check whether an event targets an operation the server has not acknowledged yet
+     * (it only knows the operation by its server ID once the ack is back)
+     */
+    awaitsAck(event, payload) {
+        const target = event === 'drawing-event' && payload.data.operationId;
+        if (!target) return false;
+        return this.pendingAcks.has(target) ||
+            this.outbox.some(queued => queued.payload && queued.payload.data && queued.payload.data.tempId === target);
+    }
+
+    /**
+     * Remember the highest room sequence number received
+     */
+    trackSequence(seq) {
+        if (seq > this.lastSeq) {
+            this.lastSeq = seq;
+        }
+    }
+
+    /**
+     * Start checking for unacknowledged drawing events
+     */
+    startAckTimer() {
+        if (this.ackTimer) return;
+        this.ackTimer = setInterval(() => this.retryUnacknowledged(), this.ACK_CHECK_INTERVAL);
+    }
+
+    /**
+     * Resend drawing events whose ack did not arrive in time
+     * The server ignores duplicates by tempId, so resending is always safe.
+     */
+    retryUnacknowledged() {
+        if (!this.connected) return;
+
+        const now = Date.now();
+        this.pendingAcks.forEach((pending, tempId) => {
+            if (now - pending.sentAt < this.ACK_TIMEOUT) return;
+
+            if (pending.attempts >= this.MAX_RETRIES) {
+                this.pendingAcks.delete(tempId);
+                console.error('Drawing event was never acknowledged:', tempId);
+                if (this.onDeliveryFailed) this.onDeliveryFailed({ tempId, type: pending.type, data: pending.data });
+                return;
+            }
+
+            pending.attempts++;
+            pending.sentAt = now;
+            this.socket.emit('drawing-event', {
+                type: pending.type,
+                data: pending.data
+            });
+        });
+    }
+
+    /**
+     * Emit an event now, or queue it until the connection is back
+     * While a replay is still draining, new events queue behind it to keep their order,
+     * as do moves and resizes of an operation that is still waiting for its ack.
+     */
+    send(event, payload) {
+        if (this.connected && this.outbox.length === 0 && !this.awaitsAck(event, payload)) {
+            this.emitEvent(event, payload);
+            return;
+        }
+
+        this.outbox.push({ event, payload });
+        this.saveSession();
+        if (this.onPendingChange) this.onPendingChange(this.outbox.length);
+    }
+
+    /**
+     * Emit an event, tracking stored drawing events until they are acknowledged
+     */
+    emitEvent(event, payload) {
+        if (event === 'drawing-event' && payload.data.tempId) {
+            this.pendingAcks.set(payload.data.tempId, {
+                type: payload.type,
+                data: payload.data,
+                sentAt: Date.now(),
+                attempts: 0
+            });
+        }
+        this.socket.emit(event, payload);
+    }
+
+    /**
+     * Replay everything not yet confirmed, oldest first
+     * Events sent before the connection dropped but never acknowledged go first
+     * (the server ignores any it already stored), then the queued ones.
+     */
+    flushOutbox() {
+        const unacknowledged = [];
+        this.pendingAcks.forEach(pending => {
+            unacknowledged.push({
+                event: 'drawing-event',
+                payload: { type: pending.type, data: pending.data }
+            });
+        });
+        this.pendingAcks.clear();
+        this.outbox = unacknowledged.concat(this.outbox);
+
+        this.drainOutbox();
+    }
+
+    /**
+     * Send the outbox in batches, so a long offline session does not trip the rate limiter
+     * An event whose target still waits for its ack stops the batch; the ack resumes it.
+     */
+    drainOutbox() {
+        clearTimeout(this.drainTimer);
+        this.drainTimer = null;
+        if (!this.connected || this.outbox.length === 0) return;
+
+        let sent = 0;
+        while (sent < this.DRAIN_BATCH && this.outbox.length > 0) {
+            const { event, payload } = this.outbox[0];
+            if (this.awaitsAck(event, payload)) break;
+
+            this.outbox.shift();
+            this.emitEvent(event, payload);
+            sent++;
+        }
+        if (sent === 0) return;
+        this.saveSession();
+
+        console.log('Sent', sent, 'queued events,', this.outbox.length, 'left');
+        if (this.onPendingChange) this.onPendingChange(this.outbox.length);
+
+        if (this.outbox.length > 0 && sent === this.DRAIN_BATCH) {
+            this.drainTimer = setTimeout(() => this.drainOutbox(), this.DRAIN_INTERVAL);
+        }
+    }
+
+    /**
+     * Key for this tab's saved session and outbox
+     */
+    getSessionKey() {
+        return 'canvas-session:' + this.roomId;
+    }
+
+    /**
+     * Save the session token and outbox for this tab, so a reload keeps both
+     */
+    saveSession() {
+        if (!this.roomId) return;
+        try {
+            sessionStorage.setItem(this.getSessionKey(), JSON.stringify({
+                sessionToken: this.sessionToken,
+                outbox: this.outbox
+            }));
+        } catch (error) {
+            // Storage full (e.g. large images queued) or unavailable; the queue stays in memory
+            console.warn('Could not save pending changes:', error);
+        }
+    }
+
+    /**
+     * Load the session token and outbox saved by this tab
+     */
+    loadSession() {
+        try {
+            const saved = JSON.parse(sessionStorage.getItem(this.getSessionKey()));
+            if (saved) {
+                this.sessionToken = saved.sessionToken || null;
+                this.outbox = saved.outbox || [];
+            }
+        } catch (error) {
+            console.warn('Could not load saved session:', error);
+        }
+    }
+
+    /**
+     * Save a room's owner key in this browser (kept across tabs and restarts)
+     */
+    saveOwnerKey(roomId, ownerKey) {
+        if (roomId === this.roomId) this.ownerKey = ownerKey;
+        try {
+            localStorage.setItem('canvas-owner:' + roomId, ownerKey);
+        } catch (error) {
+            console.warn('Could not save owner key:', error);
+        }
+    }
+
+    /**
+     * Load the owner key saved for a room, if any
+     */
+    loadOwnerKey(roomId) {
+        try {
+            return localStorage.getItem('canvas-owner:' + roomId);
+        } catch (error) {
+            console.warn('Could not load owner key:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Generate a client-side ID for an event awaiting its server ID
+     */
+    generateTempId() {
+        return 'temp-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
     }
 
     /**
      * Join a room
+     * `credentials` can hold the room password or an invite token.
      */
-    joinRoom(roomId, userName) {
+    joinRoom(roomId, userName, credentials = {}) {
         this.roomId = roomId;
         this.userName = userName;
+        this.credentials = credentials;
+
+        // A reload resumes this tab's session and sends what it had queued
+        this.loadSession();
+        this.ownerKey = this.loadOwnerKey(roomId);
 
         this.socket.emit('join-room', {
             roomId: roomId,
-            userName: userName
+            userName: userName,
+            sessionToken: this.sessionToken,
+            ownerKey: this.ownerKey,
+            ...credentials
         });
+
+        if (this.outbox.length > 0) {
+            if (this.onPendingChange) this.onPendingChange(this.outbox.length);
+            this.flushOutbox();
+        }
     }
 
     /**
-     * Send drawing event
+     * Rejoin the current room after a reconnect
+     * The session token keeps our userId (and with it our undo history), and
+     * sinceSeq asks for only the operations we missed.
      */
-    sendDrawingEvent(type, data) {
+    rejoinRoom() {
+        this.socket.emit('join-room', {
+            roomId: this.roomId,
+            userName: this.userName,
+            sessionToken: this.sessionToken,
+            sinceSeq: this.lastSeq,
+            ownerKey: this.ownerKey,
+            ...this.credentials
+        });
+    }
+
+    /**
+     * Request the operations added or changed since the last sequence number seen
+     */
+    requestSync() {
         if (!this.connected) return;
+        this.socket.emit('sync-request', { sinceSeq: this.lastSeq });
+    }
 
+    /**
+     * Send drawing event
+     */
+    sendDrawingEvent(type, data) {
         let payloadData = data || {};
         if (this.referenceSize && !payloadData.referenceSize) {
             payloadData = { ...payloadData, referenceSize: this.referenceSize };
         }
 
-        this.socket.emit('drawing-event', {
+        // Previews and in-progress points only matter live; drop them while offline
+        if (!ACKED_EVENT_TYPES.includes(type)) {
+            if (!this.connected) return;
+            this.socket.emit('drawing-event', {
+                type: type,
+                data: payloadData
+            });
+            return;
+        }
+
+        // Stored events are queued while offline and tracked until the server acknowledges them
+        if (!payloadData.tempId) {
+            payloadData = { ...payloadData, tempId: this.generateTempId() };
+        }
+        this.send('drawing-event', {
             type: type,
             data: payloadData
         });
@@ -228,24 +671,21 @@ class WebSocketClient {
      * Request undo
      */
     requestUndo() {
-        if (!this.connected) return;
-        this.socket.emit('undo-request');
+        this.send('undo-request');
     }
 
     /**
      * Request redo
      */
     requestRedo() {
-        if (!this.connected) return;
-        this.socket.emit('redo-request');
+        this.send('redo-request');
     }
 
     /**
      * Request canvas clear (user's own drawings)
      */
     requestClearCanvas() {
-        if (!this.connected) return;
-        this.socket.emit('clear-canvas');
+        this.send('clear-canvas');
     }
 
     /**
@@ -256,6 +696,126 @@ class WebSocketClient {
         this.socket.emit('admin-clear-all');
     }
 
+    /**
+     * Admin: Request the list of cleared canvases in the trash
+     */
+    requestTrash() {
+        if (!this.connected) return;
+        this.socket.emit('admin-get-trash');
+    }
+
+    /**
+     * Admin: Request room statistics
+     */
+    requestRoomStats() {
+        if (!this.connected) return;
+        this.socket.emit('admin-get-room-stats');
+    }
+
+    /**
+     * Admin: Restore a cleared canvas from the trash
+     */
+    restoreFromTrash(clearId) {
+        if (!this.connected) return;
+        this.socket.emit('admin-restore-trash', { clearId });
+    }
+
+    /**
+     * Admin: Save the current drawing as a named checkpoint
+     */
+    createCheckpoint(name) {
+        if (!this.connected) return;
+        this.socket.emit('admin-create-checkpoint', { name });
+    }
+
+    /**
+     * Admin: Request the room's audit log
+     */
+    requestAuditLog() {
+        if (!this.connected) return;
+        this.socket.emit('admin-get-audit-log');
+    }
+
+    /**
+     * Admin: Request the list of active bans
+     */
+    requestBans() {
+        if (!this.connected) return;
+        this.socket.emit('admin-get-bans');
+    }
+
+    /**
+     * Admin: Ban a user for `duration` seconds (0 = permanent), optionally by IP address too
+     */
+    banUser(userId, duration, byIp) {
+        if (!this.connected) return;
+        this.socket.emit('admin-ban-user', { userId, duration, byIp });
+    }
+
+    /**
+     * Admin: Lift a ban
+     */
+    liftBan(banId) {
+        if (!this.connected) return;
+        this.socket.emit('admin-lift-ban', { banId });
+    }
+
+    /**
+     * Admin: Mute a user's drawing for some minutes
+     */
+    muteUser(userId, minutes) {
+        if (!this.connected) return;
+        this.socket.emit('admin-mute-user', { userId, minutes });
+    }
+
+    /**
+     * Admin: End a user's mute
+     */
+    unmuteUser(userId) {
+        if (!this.connected) return;
+        this.socket.emit('admin-unmute-user', { userId });
+    }
+
+    /**
+     * Admin: Request the list of checkpoints
+     */
+    requestCheckpoints() {
+        if (!this.connected) return;
+        this.socket.emit('admin-get-checkpoints');
+    }
+
+    /**
+     * Admin: Request a checkpoint's operations to preview it
+     */
+    previewCheckpoint(checkpointId) {
+        if (!this.connected) return;
+        this.socket.emit('admin-preview-checkpoint', { checkpointId });
+    }
+
+    /**
+     * Admin: Restore the room to a checkpoint
+     */
+    restoreCheckpoint(checkpointId) {
+        if (!this.connected) return;
+        this.socket.emit('admin-restore-checkpoint', { checkpointId });
+    }
+
+    /**
+     * Duplicate the board (or, for admins, a checkpoint) into a new room
+     */
+    forkRoom(checkpointId = null) {
+        if (!this.connected) return;
+        this.socket.emit('fork-room', checkpointId ? { checkpointId } : {});
+    }
+
+    /**
+     * Admin: Import a board document ('replace' or 'merge' with the current board)
+     */
+    importBoard(document, mode) {
+        if (!this.connected) return;
+        this.socket.emit('admin-import-board', { document, mode });
+    }
+
     /**
      * Admin: Kick user
      */
@@ -264,6 +824,54 @@ class WebSocketClient {
         this.socket.emit('admin-kick-user', { userId });
     }
 
+    /**
+     * Admin: Change a user's role ('editor', 'commenter' or 'viewer')
+     */
+    setUserRole(userId, role) {
+        if (!this.connected) return;
+        this.socket.emit('admin-set-role', { userId, role });
+    }
+
+    /**
+     * Admin: Make a user a co-admin (true) or revoke their admin rights (false)
+     */
+    setUserAdmin(userId, isAdmin) {
+        if (!this.connected) return;
+        this.socket.emit('admin-set-admin', { userId, isAdmin });
+    }
+
+    /**
+     * Admin: Hand over our admin rights to another user
+     */
+    transferAdmin(userId) {
+        if (!this.connected) return;
+        this.socket.emit('admin-transfer', { userId });
+    }
+
+    /**
+     * Admin: Claim ownership of a room that has no owner key
+     */
+    claimOwnership() {
+        if (!this.connected) return;
+        this.socket.emit('admin-claim-ownership');
+    }
+
+    /**
+     * Owner: Set the room password (null removes it)
+     */
+    setRoomPassword(password) {
+        if (!this.connected) return;
+        this.socket.emit('set-room-password', password ? { password } : {});
+    }
+
+    /**
+     * Admin: Create an invite link token (`ttl` in seconds)
+     */
+    createInvite(role, ttl) {
+        if (!this.connected) return;
+        this.socket.emit('admin-create-invite', { role, ttl });
+    }
+
     /**
      * Admin: Set theme for all users
      */
@@ -272,10 +880,30 @@ class WebSocketClient {
         this.socket.emit('set-theme', { theme });
     }
 
+    /**
+     * Admin: Turn read-only (presentation) mode on or off
+     */
+    setReadOnly(readOnly) {
+        if (!this.connected) return;
+        this.socket.emit('admin-set-read-only', { readOnly });
+    }
+
+    /**
+     * Admin: Lock or unlock an operation
+     */
+    lockOperation(operationId, locked) {
+        if (!this.connected) return;
+        this.socket.emit('admin-lock-operation', { operationId, locked });
+    }
+
     /**
      * Disconnect from server
      */
     disconnect() {
+        if (this.ackTimer) {
+            clearInterval(this.ackTimer);
+            this.ackTimer = null;
+        }
         if (this.socket) {
             this.socket.disconnect();
             this.connected = false;
@@ -0,0 +1,146 @@
+/**
+ * Room Access
+ * Room passwords (stored as scrypt hashes), owner keys, and signed tokens for invite
+ * links and for reading a protected room over HTTP. Tokens are signed with a per-room
+ * secret, so they cannot be forged or moved to another room.
+ */
+
+const crypto = require('crypto');
+const { ASSIGNABLE_ROLES } = require('./roles');
+
+const INVITE_TTLS = [60 * 60, 24 * 60 * 60, 7 * 24 * 60 * 60]; // Seconds: 1 hour, 1 day, 7 days
+const ACCESS_TTL = 24 * 60 * 60; // Seconds an HTTP access token (issued on join) stays valid
+
+function createSecret() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Hash a room password with a fresh salt
+ */
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 32).toString('hex');
+    return { salt, hash };
+}
+
+function verifyPassword(password, stored) {
+    if (typeof password !== 'string' || !stored) return false;
+
+    const hash = crypto.scryptSync(password, stored.salt, 32);
+    return crypto.timingSafeEqual(hash, Buffer.from(stored.hash, 'hex'));
+}
+
+/**
+ * Owner keys are random, so a plain SHA-256 is enough to store them
+ */
+function hashOwnerKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function verifyOwnerKey(key, storedHash) {
+    if (typeof key !== 'string' || !storedHash) return false;
+
+    const hash = Buffer.from(hashOwnerKey(key), 'hex');
+    return crypto.timingSafeEqual(hash, Buffer.from(storedHash, 'hex'));
+}
+
+function sign(secret, body) {
+    return crypto.createHmac('sha256', secret).update(body).digest('base64url');
+}
+
+/**
+ * Create a signed token: `<payload>.<signature>`, both base64url
+ * `ttl` is in seconds.
+ */
+function createToken(secret, payload, ttl) {
+    const body = Buffer.from(JSON.stringify({
+        ...payload,
+        exp: Date.now() + ttl * 1000
+    })).toString('base64url');
+    return `${body}.${sign(secret, body)}`;
+}
+
+/**
+ * Check a token's signature and expiry
+ * Returns { payload } when valid, otherwise { error: 'invalid' | 'expired' }.
+ */
+function verifyToken(secret, token) {
+    if (!secret || typeof token !== 'string') return { error: 'invalid' };
+
+    const [body, signature] = token.split('.');
+    if (!body || !signature) return { error: 'invalid' };
+
+    const expected = Buffer.from(sign(secret, body));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return { error: 'invalid' };
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch (error) {
+        return { error: 'invalid' };
+    }
+    if (typeof payload.exp !== 'number' || payload.exp < Date.now()) {
+        return { error: 'expired' };
+    }
+    return { payload };
+}
+
+/**
+ * Check a join against the room's access settings
+ * The owner key, an invite link or a resumed session gets in without the password.
+ * A bad invite is refused in every room (a protected room still takes the password instead).
+ * Returns { ok: true, role } (role from the owner key or invite, if any) or { ok: false, reason }.
+ */
+function checkJoin(access, roomId, { password, invite, session, ownerKey }) {
+    const isProtected = Boolean(access && access.password);
+
+    // A stale key (e.g. from before a room was reset) is ignored
+    if (ownerKey && verifyOwnerKey(ownerKey, access && access.ownerKey)) {
+        return { ok: true, role: 'owner' };
+    }
+
+    if (invite && !session) {
+        const result = verifyToken(access && access.secret, invite);
+        const { payload } = result;
+        const error = result.error ||
+            (payload.kind !== 'invite' || payload.room !== roomId || !ASSIGNABLE_ROLES.includes(payload.role)
+                ? 'invalid'
+                : null);
+
+        if (!error) return { ok: true, role: payload.role };
+        if (!isProtected || !password) return { ok: false, reason: `invite-${error}` };
+    }
+
+    if (session || !isProtected) return { ok: true, role: null };
+
+    if (!password) return { ok: false, reason: 'password-required' };
+    if (!verifyPassword(password, access.password)) return { ok: false, reason: 'wrong-password' };
+    return { ok: true, role: null };
+}
+
+/**
+ * Check an HTTP access token (from user-info) or invite for a protected room
+ */
+function canRead(access, roomId, token) {
+    if (!access || !access.password) return true;
+
+    const result = verifyToken(access.secret, token);
+    return !result.error &&
+        result.payload.room === roomId &&
+        (result.payload.kind === 'access' || result.payload.kind === 'invite');
+}
+
+module.exports = {
+    INVITE_TTLS,
+    ACCESS_TTL,
+    createSecret,
+    hashPassword,
+    hashOwnerKey,
+    createToken,
+    checkJoin,
+    canRead
+};
@@ -0,0 +1,164 @@
+/**
+ * Image Assets
+ * Content-addressed store for uploaded images. Each image is saved once under the
+ * SHA-256 of its bytes, so the same picture uploaded twice (in any room) is stored once.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MAX_ASSET_SIZE = 8 * 1024 * 1024; // Bytes
+const ASSET_ID_PATTERN = /^[a-f0-9]{64}$/;
+
+/**
+ * Detect an image type from its leading bytes (null if not a supported image)
+ */
+function detectImageType(buffer) {
+    if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) {
+        return 'image/png';
+    }
+    if (buffer.length >= 3 && buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) {
+        return 'image/jpeg';
+    }
+    if (buffer.length >= 6 && ['GIF87a', 'GIF89a'].includes(buffer.toString('ascii', 0, 6))) {
+        return 'image/gif';
+    }
+    if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+        return 'image/webp';
+    }
+    return null;
+}
+
+/**
+ * Asset ID for a buffer: hex SHA-256 of its bytes
+ */
+function hashAsset(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * In-memory asset store
+ */
+class MemoryAssetStore {
+    constructor() {
+        this.assets = new Map(); // assetId -> Buffer
+    }
+
+    has(assetId) {
+        return this.assets.has(assetId);
+    }
+
+    /**
+     * Get an asset's bytes and content type (null if unknown)
+     */
+    get(assetId) {
+        const data = this.assets.get(assetId);
+        if (!data) return null;
+        return { data, type: detectImageType(data) };
+    }
+
+    /**
+     * Store an image, returning its asset ID (null if it is not a supported image)
+     */
+    put(buffer) {
+        if (!detectImageType(buffer)) return null;
+
+        const assetId = hashAsset(buffer);
+        if (!this.assets.has(assetId)) {
+            this.assets.set(assetId, Buffer.from(buffer));
+        }
+        return assetId;
+    }
+}
+
+/**
+ * File-backed asset store (one file per asset, named by its hash)
+ */
+class FileAssetStore {
+    constructor(directory) {
+        this.directory = directory;
+        fs.mkdirSync(this.directory, { recursive: true });
+    }
+
+    getPath(assetId) {
+        return path.join(this.directory, assetId);
+    }
+
+    has(assetId) {
+        return ASSET_ID_PATTERN.test(assetId) && fs.existsSync(this.getPath(assetId));
+    }
+
+    /**
+     * Get an asset's bytes and content type (null if unknown)
+     */
+    get(assetId) {
+        if (!this.has(assetId)) return null;
+
+        const data = fs.readFileSync(this.getPath(assetId));
+        return { data, type: detectImageType(data) };
+    }
+
+    /**
+     * Store an image, returning its asset ID (null if it is not a supported image)
+     * Written to a temp file and renamed, so a crash never leaves a partial asset.
+     */
+    put(buffer) {
+        if (!detectImageType(buffer)) return null;
+
+        const assetId = hashAsset(buffer);
+        if (!this.has(assetId)) {
+            const tempPath = this.getPath(assetId) + '.tmp';
+            fs.writeFileSync(tempPath, buffer);
+            fs.renameSync(tempPath, this.getPath(assetId));
+        }
+        return assetId;
+    }
+}
+
+/**
+ * Create the asset store matching the room storage settings
+ * (CANVAS_STORAGE=memory, otherwise files in CANVAS_DATA_DIR/assets)
+ */
+function createAssetStore(env = process.env) {
+    if (env.CANVAS_STORAGE === 'memory') {
+        return new MemoryAssetStore();
+    }
+
+    const directory = env.CANVAS_DATA_DIR || path.join(__dirname, '../data');
+    return new FileAssetStore(path.join(directory, 'assets'));
+}
+
+/**
+ * Move images embedded as data URLs (saved before the asset store existed) into the store
+ * Returns the number of operations converted.
+ */
+function extractInlineImages(operations, store) {
+    let converted = 0;
+
+    operations.forEach(op => {
+        if (op.type !== 'image' || !op.data || op.data.assetId || typeof op.data.src !== 'string') return;
+
+        const match = /^data:image\/[a-z+]+;base64,(.*)$/.exec(op.data.src);
+        if (!match) return;
+
+        const assetId = store.put(Buffer.from(match[1], 'base64'));
+        if (!assetId) return;
+
+        op.data.assetId = assetId;
+        delete op.data.src;
+        converted++;
+    });
+
+    return converted;
+}
+
+module.exports = {
+    MAX_ASSET_SIZE,
+    ASSET_ID_PATTERN,
+    detectImageType,
+    MemoryAssetStore,
+    FileAssetStore,
+    createAssetStore,
+    extractInlineImages
+};
@@ -0,0 +1,74 @@
+/**
+ * Room Bans
+ * A ban remembers how to recognize someone who was removed from a room: hashes of
+ * their session tokens and owner key, and optionally their IP address. Bans are
+ * kept with the room state (DrawingState.bans) and checked on every join.
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+const BAN_DURATIONS = [60 * 60, 24 * 60 * 60, 7 * 24 * 60 * 60, 0]; // Seconds: 1 hour, 1 day, 7 days, permanent
+const MAX_MUTE_MINUTES = 24 * 60;
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Create a ban for a user
+ * `identity` is { sessionTokens, ownerKeyHash, ip }; the IP is only kept with `byIp`.
+ * `duration` is in seconds (0 = permanent).
+ */
+function createBan(identity, { userName, bannedBy, duration, byIp }) {
+    const createdAt = Date.now();
+    return {
+        id: uuidv4(),
+        userName,
+        bannedBy,
+        createdAt,
+        expiresAt: duration ? createdAt + duration * 1000 : null,
+        sessionHashes: identity.sessionTokens.map(hashToken),
+        ownerKeyHash: identity.ownerKeyHash || null,
+        ip: byIp ? identity.ip || null : null
+    };
+}
+
+function isActive(ban, now = Date.now()) {
+    return ban.expiresAt === null || ban.expiresAt > now;
+}
+
+/**
+ * Find an active ban matching a joining client ({ sessionToken, ownerKeyHash, ip })
+ */
+function findBan(bans, { sessionToken, ownerKeyHash, ip }) {
+    const sessionHash = sessionToken ? hashToken(sessionToken) : null;
+    return bans.find(ban => isActive(ban) && (
+        (sessionHash && ban.sessionHashes.includes(sessionHash)) ||
+        (ownerKeyHash && ban.ownerKeyHash === ownerKeyHash) ||
+        (ip && ban.ip === ip)
+    )) || null;
+}
+
+/**
+ * A ban as shown to admins (without the hashes and the IP address)
+ */
+function describeBan(ban) {
+    return {
+        id: ban.id,
+        userName: ban.userName,
+        bannedBy: ban.bannedBy,
+        createdAt: ban.createdAt,
+        expiresAt: ban.expiresAt,
+        byIp: Boolean(ban.ip)
+    };
+}
+
+module.exports = {
+    BAN_DURATIONS,
+    MAX_MUTE_MINUTES,
+    createBan,
+    isActive,
+    findBan,
+    describeBan
+};
@@ -0,0 +1,136 @@
+/**
+ * Board Documents
+ * Versioned JSON format for a whole room (active drawing, reference size, settings and
+ * the images it uses), for backups, templates and moving boards between servers
+ */
+
+const { ValidationError, validateEvent, isReferenceSize } = require('./validation');
+
+const FORMAT = 'collaborative-canvas-board';
+const VERSION = 1;
+const MAX_OPERATIONS = 20000;
+
+// Operation types a board document can hold (transforms are baked into their targets)
+const DOCUMENT_TYPES = ['draw', 'shape', 'text', 'image'];
+
+const isTransform = (op) => (op.type === 'move' || op.type === 'resize') && Boolean(op.data.operationId);
+
+/**
+ * Build the document for a room
+ * Only operations that are currently visible are included, with their final data.
+ */
+function createBoardDocument(roomId, drawingState, assets = null) {
+    const operations = drawingState.getActiveOperations()
+        .filter(op => op.data && DOCUMENT_TYPES.includes(op.type) && !isTransform(op))
+        .map(op => {
+            const { tempId, referenceSize, ...data } = op.data;
+            return {
+                type: op.type,
+                userName: op.userName || null,
+                timestamp: op.timestamp || null,
+                data
+            };
+        });
+
+    const embedded = {};
+    operations.forEach(op => {
+        const assetId = op.type === 'image' && op.data.assetId;
+        if (!assetId || embedded[assetId] || !assets) return;
+
+        const asset = assets.get(assetId);
+        if (asset) {
+            embedded[assetId] = { type: asset.type, data: asset.data.toString('base64') };
+        }
+    });
+
+    return {
+        format: FORMAT,
+        version: VERSION,
+        roomId: roomId,
+        exportedAt: new Date().toISOString(),
+        referenceSize: drawingState.referenceSize,
+        settings: drawingState.settings,
+        operations,
+        assets: embedded
+    };
+}
+
+/**
+ * Validate a document and return its contents
+ * Every operation is checked against the same schema as a live drawing-event.
+ * Embedded asset bytes are not read here; images must already be in the asset store.
+ */
+function parseBoardDocument(document) {
+    if (!document || document.format !== FORMAT) {
+        throw new ValidationError('Not a board document', 'format');
+    }
+    if (document.version !== VERSION) {
+        throw new ValidationError(`Unsupported board document version ${document.version}`, 'version');
+    }
+    if (!Array.isArray(document.operations)) {
+        throw new ValidationError('Missing operations in board document', 'operations');
+    }
+    if (document.operations.length > MAX_OPERATIONS) {
+        throw new ValidationError(`Board documents can hold at most ${MAX_OPERATIONS} operations`, 'operations');
+    }
+
+    const operations = document.operations.map((op, index) => {
+        if (!op || !DOCUMENT_TYPES.includes(op.type)) {
+            throw new ValidationError(`Invalid operation type at ${index}`, 'operations');
+        }
+        const { data } = validateEvent('drawing-event', { type: op.type, data: op.data });
+        delete data.tempId;
+        delete data.referenceSize;
+        return { type: op.type, data };
+    });
+
+    let referenceSize = null;
+    if (document.referenceSize) {
+        if (!isReferenceSize(document.referenceSize)) {
+            throw new ValidationError('Invalid referenceSize in board document', 'referenceSize');
+        }
+        referenceSize = { width: document.referenceSize.width, height: document.referenceSize.height };
+    }
+
+    let settings = {};
+    if (document.settings && document.settings.theme) {
+        settings = validateEvent('set-theme', { theme: document.settings.theme });
+    }
+
+    return { operations, referenceSize, settings };
+}
+
+/**
+ * Map an operation drawn on one reference canvas onto another, keeping its size in
+ * reference pixels (normalized coordinates are relative to the canvas size)
+ */
+function rescaleOperation(op, from, to) {
+    if (!from || !to || (from.width === to.width && from.height === to.height)) return op;
+
+    const scaleX = from.width / to.width;
+    const scaleY = from.height / to.height;
+    const point = (p) => ({ x: p.x * scaleX, y: p.y * scaleY });
+    const data = { ...op.data };
+
+    if (data.points) data.points = data.points.map(point);
+    if (data.start) data.start = point(data.start);
+    if (data.end) data.end = point(data.end);
+    if (op.type === 'text' || op.type === 'image') {
+        data.x *= scaleX;
+        data.y *= scaleY;
+    }
+    if (op.type === 'image') {
+        data.width *= scaleX;
+        data.height *= scaleY;
+    }
+
+    return { ...op, data };
+}
+
+module.exports = {
+    FORMAT,
+    VERSION,
+    createBoardDocument,
+    parseBoardDocument,
+    rescaleOperation
+};
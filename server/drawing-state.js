@@ -3,21 +3,237 @@
  * Maintains operation history for undo/redo and canvas state reconstruction
  */
 
+const SNAPSHOT_INTERVAL = 500; // Journal entries between automatic snapshots
+const COMPACT_THRESHOLD = 1000; // New operations between automatic compactions
+const KEEP_RECENT = 200; // Recent operations kept verbatim by compaction
+
+const TRASH_SIZE = 5; // Cleared canvases kept restorable per room
+const MAX_CHECKPOINTS = 20; // Named checkpoints kept per room (oldest dropped first)
+const MAX_AUDIT_ENTRIES = 1000; // Audit log entries kept per room (oldest dropped first)
+
+// Transform operations and the target data fields they change
+const TRANSFORM_FIELDS = {
+  move: ['x', 'y'],
+  resize: ['width', 'height']
+};
+
 class DrawingState {
-  constructor(roomId) {
+  constructor(roomId, options = {}) {
     this.roomId = roomId;
     this.operations = []; // All drawing operations
     this.currentIndex = -1; // Current position in operation history
+    this.sequence = 0; // Last room sequence number (bumped by every change to the log)
+    this.compactedSeq = 0; // Sequence number at the last compaction or clear
     this.referenceSize = null;
+    this.settings = {}; // Room-wide settings (e.g. theme, readOnly)
+    this.access = null; // { secret, password } - never sent to clients, see access.js
+    this.bans = []; // Room bans (see bans.js) - never sent to clients as they are
+    this.auditLog = []; // Admin actions, oldest first
+
+    // Undo/redo stacks of operation IDs (most recent last)
+    this.undoStacks = new Map(); // userId -> [operationId]
+    this.redoStacks = new Map(); // userId -> [operationId]
+    this.roomRedoStack = []; // Operations undone through admin global undo
+
+    // Trash: IDs of the most recent clear-all operations, oldest first
+    this.trash = [];
+    this.trashSize = options.trashSize || TRASH_SIZE;
+
+    // Named checkpoints: copies of the active drawing, oldest first
+    this.checkpoints = [];
+    this.maxCheckpoints = options.maxCheckpoints || MAX_CHECKPOINTS;
+
+    // Persistence
+    this.storage = options.storage || null;
+    this.snapshotInterval = options.snapshotInterval || SNAPSHOT_INTERVAL;
+    this.journalSeq = 0; // Sequence number of the last journal entry
+    this.entriesSinceSnapshot = 0;
+    this.replaying = false;
+
+    // Compaction
+    this.compactThreshold = options.compactThreshold || COMPACT_THRESHOLD;
+    this.keepRecent = options.keepRecent !== undefined ? options.keepRecent : KEEP_RECENT;
+    this.compactedLength = 0; // operations.length right after the last compaction
+    this.compactedCount = 0; // Total operations folded away
+  }
+
+  /**
+   * Load persisted state (latest snapshot + journal replay)
+   */
+  load() {
+    if (!this.storage) return false;
+
+    const stored = this.storage.load(this.roomId);
+    if (!stored) return false;
+
+    if (stored.snapshot) {
+      this.restoreFromHistory(stored.snapshot);
+      this.restoreStacks(stored.snapshot.stacks);
+      this.trash = stored.snapshot.trash || [];
+      this.checkpoints = stored.snapshot.checkpoints || [];
+      this.access = stored.snapshot.access || null;
+      this.bans = stored.snapshot.bans || [];
+      this.auditLog = stored.snapshot.auditLog || [];
+      this.journalSeq = stored.snapshot.journalSeq || 0;
+      this.compactedCount = stored.snapshot.compactedCount || 0;
+      this.compactedSeq = stored.snapshot.compactedSeq || 0;
+      this.compactedLength = this.operations.length;
+    }
+
+    this.replaying = true;
+    try {
+      stored.journal.forEach(entry => {
+        // Entries already folded into the snapshot are skipped
+        if (entry.seq <= this.journalSeq) return;
+        this.applyJournalEntry(entry);
+        this.journalSeq = entry.seq;
+        this.entriesSinceSnapshot++;
+      });
+    } finally {
+      this.replaying = false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Re-apply a journal entry written by record()
+   */
+  applyJournalEntry(entry) {
+    switch (entry.type) {
+      case 'add':
+        this.addOperation(entry.operation);
+        break;
+      case 'restore-checkpoint':
+        this.restoreCheckpoint(entry.operation, entry.copies);
+        break;
+      case 'checkpoint':
+        this.addCheckpoint(entry.checkpoint);
+        break;
+      case 'undo':
+      case 'redo': {
+        const operation = this.findOperation(entry.operationId);
+        if (!operation) break;
+        if (entry.type === 'undo') {
+          this.applyUndo(operation, entry.userId || null);
+        } else {
+          this.applyRedo(operation, entry.userId || null);
+        }
+        break;
+      }
+      case 'clear-user':
+        this.clearUser(entry.userId);
+        break;
+      case 'clear':
+        this.clear();
+        break;
+      case 'reference-size':
+        this.setReferenceSize(entry.referenceSize);
+        break;
+      case 'settings':
+        this.updateSettings(entry.settings);
+        break;
+      case 'access':
+        this.updateAccess(entry.access);
+        break;
+      case 'ban':
+        this.addBan(entry.ban);
+        break;
+      case 'unban':
+        this.removeBan(entry.banId);
+        break;
+      case 'audit':
+        this.addAuditEntry(entry.entry);
+        break;
+      case 'lock':
+        this.setLocked(entry.operationId, entry.locked);
+        break;
+      default:
+        console.warn(`Unknown journal entry type in room ${this.roomId}:`, entry.type);
+    }
+  }
+
+  /**
+   * Append a change to the journal and snapshot periodically
+   */
+  record(entry) {
+    if (!this.storage || this.replaying) return;
+
+    this.journalSeq++;
+    this.storage.append(this.roomId, { ...entry, seq: this.journalSeq, timestamp: Date.now() });
+    this.entriesSinceSnapshot++;
+
+    if (this.entriesSinceSnapshot >= this.snapshotInterval) {
+      this.saveSnapshot();
+    }
+  }
+
+  /**
+   * Write a full snapshot, replacing the journal
+   */
+  saveSnapshot() {
+    if (!this.storage) return;
+
+    this.storage.writeSnapshot(this.roomId, {
+      version: 1,
+      roomId: this.roomId,
+      savedAt: Date.now(),
+      journalSeq: this.journalSeq,
+      compactedCount: this.compactedCount,
+      compactedSeq: this.compactedSeq,
+      stacks: this.getStacks(),
+      trash: this.trash,
+      checkpoints: this.checkpoints,
+      access: this.access,
+      bans: this.bans.filter(ban => !ban.expiresAt || ban.expiresAt > Date.now()),
+      auditLog: this.auditLog,
+      ...this.getOperationHistory()
+    });
+    this.entriesSinceSnapshot = 0;
+  }
+
+  /**
+   * Find an operation by ID
+   */
+  findOperation(operationId) {
+    return this.operations.find(op => op.id === operationId) || null;
+  }
+
+  /**
+   * Find an operation a user already submitted under a client tempId (retried events)
+   */
+  findByTempId(userId, tempId) {
+    for (let i = this.operations.length - 1; i >= 0; i--) {
+      const op = this.operations[i];
+      if (op.userId === userId && op.data && op.data.tempId === tempId) {
+        return op;
+      }
+    }
+    return null;
   }
 
   /**
    * Add a new drawing operation
+   * Stamps it with the next room sequence number; a new action invalidates its
+   * author's redo stack and the room-level redo stack
    */
   addOperation(operation) {
+    this.appendOperation(operation);
+    this.record({ type: 'add', operation });
+    this.compactIfNeeded();
+
+    return operation;
+  }
+
+  /**
+   * Append an operation to the log without journaling it (see addOperation)
+   */
+  appendOperation(operation) {
     // Remove any operations after current index (redo history)
     this.operations = this.operations.slice(0, this.currentIndex + 1);
 
+    operation.seq = ++this.sequence;
+
     // Add new operation
     this.operations.push({
       ...operation,
@@ -26,18 +242,461 @@ class DrawingState {
 
     this.currentIndex++;
 
+    if (operation.userId) {
+      this.getStack(this.undoStacks, operation.userId).push(operation.id);
+      this.redoStacks.set(operation.userId, []);
+    }
+    this.roomRedoStack = [];
+
+    if (this.isTransform(operation)) {
+      this.applyTransforms(operation.data.operationId, operation.type);
+    }
+    if (operation.type === 'clear-all') {
+      this.applyClearAll(operation, false);
+      this.addToTrash(operation.id);
+    }
+  }
+
+  /**
+   * Compact once enough operations were added since the last compaction
+   */
+  compactIfNeeded() {
+    if (this.operations.length - this.compactedLength >= this.compactThreshold) {
+      this.compact();
+    }
+  }
+
+  /**
+   * Compact the operation log
+   * Everything older than the last `keepRecent` operations is folded: undone
+   * operations there that are no longer on any redo stack are dropped for good,
+   * and active move/resize transforms are dropped since their result is already
+   * baked into the target's data. The recent tail is kept verbatim.
+   */
+  compact() {
+    const redoable = this.getRedoableIds();
+    const tailStart = Math.max(0, this.operations.length - this.keepRecent);
+    const transformKey = (op) => op.type + ':' + op.data.operationId;
+
+    // A redoable transform still needs the active ones around it to resolve the right values
+    const pinned = new Set();
+    this.operations.slice(0, tailStart).forEach(op => {
+      if (op.undone && redoable.has(op.id) && this.isTransform(op)) {
+        pinned.add(transformKey(op));
+      }
+    });
+
+    const base = this.operations.slice(0, tailStart).filter(op => {
+      if (op.undone) return redoable.has(op.id);
+      if (op.type === 'clear-all') return this.trash.includes(op.id);
+      return !this.isTransform(op) || pinned.has(transformKey(op));
+    });
+    const tail = this.operations.slice(tailStart);
+    const folded = tailStart - base.length;
+
+    this.operations = base.concat(tail);
+    this.currentIndex = this.operations.length - 1;
+    this.compactedLength = this.operations.length;
+    this.compactedCount += folded;
+    if (folded > 0) {
+      // Clients that last synced before this point need the full history again
+      this.compactedSeq = this.sequence;
+    }
+    this.pruneStacks();
+
+    // A compaction is persisted as a fresh snapshot so the journal never spans one
+    if (this.storage && !this.replaying) {
+      this.saveSnapshot();
+    }
+
+    return folded;
+  }
+
+  /**
+   * Get (or create) a user's stack from a stack map
+   */
+  getStack(stacks, userId) {
+    if (!stacks.has(userId)) {
+      stacks.set(userId, []);
+    }
+    return stacks.get(userId);
+  }
+
+  /**
+   * IDs of every undone operation that can still come back
+   * (on a redo stack, hidden by a clear-all that is still in the trash, or
+   * brought in by a checkpoint restore that can be redone)
+   */
+  getRedoableIds() {
+    const ids = new Set(this.roomRedoStack);
+    this.redoStacks.forEach(stack => stack.forEach(id => ids.add(id)));
+    this.trash.forEach(clearId => {
+      const clearOp = this.findOperation(clearId);
+      if (clearOp) clearOp.data.clearedIds.forEach(id => ids.add(id));
+    });
+    Array.from(ids).forEach(id => {
+      const op = this.findOperation(id);
+      if (op && op.type === 'clear-all' && op.data.restoredIds) {
+        op.data.restoredIds.forEach(restoredId => ids.add(restoredId));
+      }
+    });
+    return ids;
+  }
+
+  /**
+   * Drop stack entries that point at operations no longer in the log
+   */
+  pruneStacks() {
+    const ids = new Set(this.operations.map(op => op.id));
+    const prune = (stacks) => {
+      stacks.forEach((stack, userId) => {
+        stacks.set(userId, stack.filter(id => ids.has(id)));
+      });
+    };
+
+    prune(this.undoStacks);
+    prune(this.redoStacks);
+    this.roomRedoStack = this.roomRedoStack.filter(id => ids.has(id));
+    this.trash = this.trash.filter(id => ids.has(id));
+  }
+
+  /**
+   * Serialize undo/redo stacks for snapshots
+   */
+  getStacks() {
+    return {
+      undo: Object.fromEntries(this.undoStacks),
+      redo: Object.fromEntries(this.redoStacks),
+      room: this.roomRedoStack
+    };
+  }
+
+  /**
+   * Restore undo/redo stacks from a snapshot
+   * Snapshots without stacks get undo stacks rebuilt from the active operations
+   */
+  restoreStacks(stacks) {
+    if (stacks) {
+      this.undoStacks = new Map(Object.entries(stacks.undo || {}));
+      this.redoStacks = new Map(Object.entries(stacks.redo || {}));
+      this.roomRedoStack = stacks.room || [];
+      return;
+    }
+
+    this.undoStacks = new Map();
+    this.redoStacks = new Map();
+    this.roomRedoStack = [];
+    this.operations.forEach(op => {
+      if (op.userId && !op.undone) {
+        this.getStack(this.undoStacks, op.userId).push(op.id);
+      }
+    });
+  }
+
+  /**
+   * Check whether an operation is a move/resize transform of another operation
+   */
+  isTransform(operation) {
+    return Boolean(TRANSFORM_FIELDS[operation.type] && operation.data && operation.data.operationId);
+  }
+
+  /**
+   * Build the data for a transform operation from the target's current values
+   * Returns null if the target does not exist or has no such fields (e.g. moving a stroke)
+   */
+  createTransform(type, operationId, values) {
+    const fields = TRANSFORM_FIELDS[type];
+    const target = this.findOperation(operationId);
+    if (!fields || !target || !target.data) return null;
+    if (!fields.every(field => typeof target.data[field] === 'number')) return null;
+
+    const before = {};
+    const after = {};
+    fields.forEach(field => {
+      before[field] = target.data[field];
+      after[field] = values[field];
+    });
+
+    return { operationId, before, after };
+  }
+
+  /**
+   * Recompute a target's transformed fields from its transform history
+   * The last active transform wins; with none active the earliest `before` is restored.
+   */
+  applyTransforms(targetId, type) {
+    const target = this.findOperation(targetId);
+    if (!target || !target.data) return;
+
+    const transforms = this.operations.filter(op => op.type === type && this.isTransform(op) && op.data.operationId === targetId);
+    if (transforms.length === 0) return;
+
+    const active = transforms.filter(op => !op.undone);
+    const values = active.length > 0 ? active[active.length - 1].data.after : transforms[0].data.before;
+    Object.assign(target.data, values);
+    target.rev = this.sequence;
+  }
+
+  /**
+   * Hide (or, when the clear-all itself is undone, bring back) the operations it cleared
+   * A checkpoint restore is a clear-all that also lists the copies it brought in
+   * (`restoredIds`), which go the opposite way.
+   */
+  applyClearAll(operation, restore) {
+    const setUndone = (ids, undone) => (ids || []).forEach(id => {
+      const target = this.findOperation(id);
+      if (target) {
+        target.undone = undone;
+        target.rev = this.sequence;
+      }
+    });
+
+    setUndone(operation.data.clearedIds, !restore);
+    setUndone(operation.data.restoredIds, restore);
+  }
+
+  /**
+   * Lock or unlock an operation
+   * Only active drawings can be locked (not transforms or clear-alls).
+   * Returns the operation, or null if there is no such drawing.
+   */
+  setLocked(operationId, locked) {
+    const operation = this.findOperation(operationId);
+    if (!operation || operation.undone || this.isTransform(operation) || operation.type === 'clear-all') {
+      return null;
+    }
+
+    operation.locked = locked;
+    operation.rev = ++this.sequence;
+    this.record({ type: 'lock', operationId, locked });
+    return operation;
+  }
+
+  /**
+   * Check whether undoing or redoing an operation would change a locked drawing:
+   * the drawing itself, a move/resize of it, or a clear-all that hides or restores it
+   */
+  isLocked(operation) {
+    const locked = (id) => {
+      const target = this.findOperation(id);
+      return Boolean(target && target.locked);
+    };
+
+    if (operation.locked) return true;
+    if (this.isTransform(operation)) return locked(operation.data.operationId);
+    if (operation.type === 'clear-all') {
+      return (operation.data.clearedIds || []).some(locked) ||
+        (operation.data.restoredIds || []).some(locked);
+    }
+    return false;
+  }
+
+  /**
+   * Build the data for a clear-all operation: every active drawing at this point
+   * Locked drawings stay on the board.
+   */
+  createClearAll() {
+    const clearedIds = this.operations
+      .filter(op => !op.undone && !op.locked && !this.isTransform(op) && op.type !== 'clear-all')
+      .map(op => op.id);
+
+    return { clearedIds };
+  }
+
+  /**
+   * Add a clear-all to the trash, sealing the oldest one beyond the trash size
+   * A sealed clear-all can no longer be undone; compaction drops what it cleared.
+   */
+  addToTrash(clearId) {
+    this.trash.push(clearId);
+
+    while (this.trash.length > this.trashSize) {
+      const sealedId = this.trash.shift();
+      const remove = (stack) => {
+        const index = stack.indexOf(sealedId);
+        if (index !== -1) stack.splice(index, 1);
+      };
+      this.undoStacks.forEach(remove);
+      this.redoStacks.forEach(remove);
+      remove(this.roomRedoStack);
+    }
+  }
+
+  /**
+   * List the cleared canvases that can still be restored (newest first)
+   */
+  getTrash() {
+    return this.trash
+      .map(id => this.findOperation(id))
+      .filter(op => op && !op.undone)
+      .reverse()
+      .map(op => ({
+        id: op.id,
+        clearedAt: op.timestamp,
+        clearedBy: op.userName,
+        operationCount: op.data.clearedIds.length
+      }));
+  }
+
+  /**
+   * Restore a cleared canvas from the trash (a room-level undo of that clear-all)
+   */
+  restoreFromTrash(clearId) {
+    if (!this.trash.includes(clearId)) return null;
+
+    const operation = this.findOperation(clearId);
+    if (!operation || operation.undone || this.isLocked(operation)) return null;
+
+    this.applyUndo(operation, null);
+    this.record({ type: 'undo', operationId: operation.id, userId: null });
     return operation;
   }
 
   /**
-   * Mark the last operation by a specific user as undone
+   * Copy every active drawing, with transforms baked in (for checkpoints and forks)
+   */
+  copyActiveOperations() {
+    return this.getActiveOperations()
+      .filter(op => op.data && !this.isTransform(op) && op.type !== 'clear-all')
+      .map(op => {
+        const { tempId, ...data } = op.data;
+        return {
+          id: op.id,
+          type: op.type,
+          userId: op.userId,
+          userName: op.userName,
+          userColor: op.userColor,
+          timestamp: op.timestamp,
+          data: JSON.parse(JSON.stringify(data))
+        };
+      });
+  }
+
+  /**
+   * Save a named checkpoint of the active drawing
+   */
+  createCheckpoint(checkpoint) {
+    const created = { ...checkpoint, operations: this.copyActiveOperations() };
+    this.addCheckpoint(created);
+    this.record({ type: 'checkpoint', checkpoint: created });
+    return created;
+  }
+
+  /**
+   * Keep a checkpoint, dropping the oldest beyond the limit
+   */
+  addCheckpoint(checkpoint) {
+    this.checkpoints.push(checkpoint);
+    while (this.checkpoints.length > this.maxCheckpoints) {
+      this.checkpoints.shift();
+    }
+  }
+
+  /**
+   * Find a checkpoint by ID
+   */
+  getCheckpoint(checkpointId) {
+    return this.checkpoints.find(checkpoint => checkpoint.id === checkpointId) || null;
+  }
+
+  /**
+   * List checkpoints without their operations (newest first)
+   */
+  getCheckpoints() {
+    return this.checkpoints
+      .slice()
+      .reverse()
+      .map(checkpoint => ({
+        id: checkpoint.id,
+        name: checkpoint.name,
+        createdAt: checkpoint.createdAt,
+        createdBy: checkpoint.createdBy,
+        operationCount: checkpoint.operations.length
+      }));
+  }
+
+  /**
+   * Restore the room to a checkpoint as one undoable action
+   * `copies` are the checkpoint's operations under new IDs; they are appended as
+   * they are (not on anyone's undo stack), then `operation` - a clear-all that
+   * hides the current drawing and lists the copies as `restoredIds` - is added.
+   * Undoing it brings back the previous drawing and hides the copies again.
+   */
+  restoreCheckpoint(operation, copies) {
+    this.operations = this.operations.slice(0, this.currentIndex + 1);
+    copies.forEach(copy => {
+      this.operations.push({ ...copy, seq: ++this.sequence, undone: false });
+      this.currentIndex++;
+    });
+
+    this.appendOperation(operation);
+    this.record({ type: 'restore-checkpoint', operation, copies });
+    this.compactIfNeeded();
+
+    return operation;
+  }
+
+  /**
+   * Mark an operation undone and move it onto the matching redo stack
+   * userId = null records a room-level (admin) undo
+   */
+  applyUndo(operation, userId) {
+    operation.undone = true;
+    operation.rev = ++this.sequence;
+    if (this.isTransform(operation)) {
+      this.applyTransforms(operation.data.operationId, operation.type);
+    }
+    if (operation.type === 'clear-all') {
+      this.applyClearAll(operation, true);
+    }
+
+    if (userId) {
+      const undoStack = this.getStack(this.undoStacks, userId);
+      const index = undoStack.lastIndexOf(operation.id);
+      if (index !== -1) undoStack.splice(index, 1);
+      this.getStack(this.redoStacks, userId).push(operation.id);
+    } else {
+      this.roomRedoStack.push(operation.id);
+    }
+  }
+
+  /**
+   * Mark an operation active again and move it back onto the undo stack
+   * userId = null records a room-level (admin) redo
+   */
+  applyRedo(operation, userId) {
+    operation.undone = false;
+    operation.rev = ++this.sequence;
+    if (this.isTransform(operation)) {
+      this.applyTransforms(operation.data.operationId, operation.type);
+    }
+    if (operation.type === 'clear-all') {
+      this.applyClearAll(operation, false);
+    }
+
+    if (userId) {
+      const redoStack = this.getStack(this.redoStacks, userId);
+      const index = redoStack.lastIndexOf(operation.id);
+      if (index !== -1) redoStack.splice(index, 1);
+      this.getStack(this.undoStacks, userId).push(operation.id);
+    } else {
+      const index = this.roomRedoStack.lastIndexOf(operation.id);
+      if (index !== -1) this.roomRedoStack.splice(index, 1);
+    }
+  }
+
+  /**
+   * Undo the most recent active operation by a specific user
+   * Locked operations are skipped (see isLocked).
    */
   undo(userId) {
-    // Find the last non-undone operation by this user
-    for (let i = this.operations.length - 1; i >= 0; i--) {
-      const operation = this.operations[i];
-      if (operation.userId === userId && !operation.undone) {
-        operation.undone = true;
+    // Entries undone by an admin stay on the stack (skipped) so they can be undone again once redone
+    const stack = this.getStack(this.undoStacks, userId);
+    for (let i = stack.length - 1; i >= 0; i--) {
+      const operation = this.findOperation(stack[i]);
+      if (operation && !operation.undone && !this.isLocked(operation)) {
+        this.applyUndo(operation, userId);
+        this.record({ type: 'undo', operationId: operation.id, userId });
         return operation;
       }
     }
@@ -45,16 +704,22 @@ class DrawingState {
   }
 
   /**
-   * Redo the last undone operation by a specific user
+   * Redo the most recently undone operation by a specific user
    */
   redo(userId) {
-    // Find the first undone operation by this user (oldest undone)
-    for (let i = 0; i < this.operations.length; i++) {
-      const operation = this.operations[i];
-      if (operation.userId === userId && operation.undone) {
-        operation.undone = false;
+    const stack = this.getStack(this.redoStacks, userId);
+    for (let i = stack.length - 1; i >= 0; i--) {
+      const operation = this.findOperation(stack[i]);
+      if (operation && operation.undone) {
+        // Kept for when the drawing it changes is unlocked again
+        if (this.isLocked(operation)) continue;
+
+        this.applyRedo(operation, userId);
+        this.record({ type: 'redo', operationId: operation.id, userId });
         return operation;
       }
+      // Stale entry (redone elsewhere or compacted away)
+      stack.splice(i, 1);
     }
     return null;
   }
@@ -66,8 +731,9 @@ class DrawingState {
     // Find the last non-undone operation
     for (let i = this.operations.length - 1; i >= 0; i--) {
       const operation = this.operations[i];
-      if (!operation.undone) {
-        operation.undone = true;
+      if (!operation.undone && !this.isLocked(operation)) {
+        this.applyUndo(operation, null);
+        this.record({ type: 'undo', operationId: operation.id, userId: null });
         return operation;
       }
     }
@@ -75,43 +741,115 @@ class DrawingState {
   }
 
   /**
-   * Global Redo: Redoes the last undone operation regardless of user
+   * Global Redo: Redoes the most recent global undo
    */
   globalRedo() {
-    // Find the first undone operation (searching from beginning/oldest or end? 
-    // Standard redo typically redoes the *most recently undone* action if we track a redo stack.
-    // But our linear history model with 'undone' flags behaves slightly differently.
-    // If we want to redo the operation that would "restore" the history line:
-    // We should find the first operation that is undone *after* the current active set?
-
-    // Actually, simple linear redo in this model usually means finding the *first* undone operation
-    // that appears *after* the last active operation.
-
-    // Let's stick to the same logic as user redo but without user filter:
-    // Find first undone operation in the list.
-
-    // Wait, if I undo A, then Undo B. History: [A(undone), B(undone)].
-    // Standard Redo would redo B (most recent undo).
-    // Our existing user redo: searches from 0 to length. It finds A first.
-    // So current user redo is "Redo Oldest Undone"? That seems backwards for standard stack behavior.
-
-    // Let's check `redo(userId)` implementation again.
-    // `for (let i = 0; i < this.operations.length; i++)`
-    // Yes, it finds the *oldest* undone operation.
-    // If I undo A then B. History: A, B. Both undone.
-    // Loop starts at 0. Finds A. Redoes A.
-    // So it behaves like a "Replay" redo.
-
-    // For Global Redo to match, I will use similar logic.
-    for (let i = 0; i < this.operations.length; i++) {
-      if (this.operations[i].undone) {
-        this.operations[i].undone = false;
-        return this.operations[i];
+    for (let i = this.roomRedoStack.length - 1; i >= 0; i--) {
+      const operation = this.findOperation(this.roomRedoStack[i]);
+      if (operation && operation.undone) {
+        if (this.isLocked(operation)) continue;
+
+        this.applyRedo(operation, null);
+        this.record({ type: 'redo', operationId: operation.id, userId: null });
+        return operation;
       }
+      this.roomRedoStack.splice(i, 1);
     }
     return null;
   }
 
+  /**
+   * Undo all active operations by a user (except locked ones)
+   * They go onto the user's redo stack oldest first, so redo restores the newest.
+   * Returns the IDs of the undone operations.
+   */
+  clearUser(userId) {
+    const clearedIds = [];
+    this.operations.forEach(op => {
+      if (op.userId === userId && !op.undone && !this.isLocked(op)) {
+        this.applyUndo(op, userId);
+        clearedIds.push(op.id);
+      }
+    });
+    this.record({ type: 'clear-user', userId });
+    return clearedIds;
+  }
+
+  /**
+   * Set the reference canvas size used to map normalized coordinates
+   */
+  setReferenceSize(referenceSize) {
+    this.referenceSize = {
+      width: referenceSize.width,
+      height: referenceSize.height
+    };
+    this.record({ type: 'reference-size', referenceSize: this.referenceSize });
+  }
+
+  /**
+   * Merge room-wide settings
+   */
+  updateSettings(settings) {
+    this.settings = { ...this.settings, ...settings };
+    this.record({ type: 'settings', settings });
+  }
+
+  /**
+   * Merge access settings (room secret, password hash)
+   */
+  updateAccess(access) {
+    this.access = { ...this.access, ...access };
+    this.record({ type: 'access', access });
+  }
+
+  /**
+   * Append an admin action to the audit log
+   */
+  addAuditEntry(entry) {
+    this.auditLog.push(entry);
+    if (this.auditLog.length > MAX_AUDIT_ENTRIES) {
+      this.auditLog.shift();
+    }
+    this.record({ type: 'audit', entry });
+    return entry;
+  }
+
+  addBan(ban) {
+    this.bans.push(ban);
+    this.record({ type: 'ban', ban });
+  }
+
+  /**
+   * Lift a ban (returns false if there is no such ban)
+   */
+  removeBan(banId) {
+    const index = this.bans.findIndex(ban => ban.id === banId);
+    if (index === -1) return false;
+
+    this.bans.splice(index, 1);
+    this.record({ type: 'unban', banId });
+    return true;
+  }
+
+  /**
+   * Operations added or changed after a sequence number (reconnect catch-up)
+   * Returns null when the caller needs the full history instead: the log was
+   * compacted or cleared since then, or the number is not from this history.
+   */
+  getOperationsSince(sinceSeq) {
+    if (!Number.isInteger(sinceSeq) || sinceSeq < this.compactedSeq || sinceSeq > this.sequence) {
+      return null;
+    }
+
+    return {
+      sinceSeq: sinceSeq,
+      operations: this.operations.filter(op => (op.rev || op.seq) > sinceSeq),
+      sequence: this.sequence,
+      referenceSize: this.referenceSize,
+      settings: this.settings
+    };
+  }
+
   /**
    * Get all active (non-undone) operations
    */
@@ -126,7 +864,9 @@ class DrawingState {
     return {
       operations: this.operations,
       currentIndex: this.currentIndex,
-      referenceSize: this.referenceSize
+      sequence: this.sequence,
+      referenceSize: this.referenceSize,
+      settings: this.settings
     };
   }
 
@@ -136,7 +876,14 @@ class DrawingState {
   restoreFromHistory(history) {
     this.operations = history.operations;
     this.currentIndex = history.currentIndex;
+    this.sequence = history.sequence || 0;
+
+    // Operations saved before sequence numbers existed get them in history order
+    this.operations.forEach(op => {
+      if (!op.seq) op.seq = ++this.sequence;
+    });
     this.referenceSize = history.referenceSize || null;
+    this.settings = history.settings || {};
   }
 
   /**
@@ -145,6 +892,13 @@ class DrawingState {
   clear() {
     this.operations = [];
     this.currentIndex = -1;
+    this.compactedLength = 0;
+    this.undoStacks = new Map();
+    this.redoStacks = new Map();
+    this.roomRedoStack = [];
+    this.trash = [];
+    this.compactedSeq = ++this.sequence;
+    this.record({ type: 'clear' });
   }
 
   /**
@@ -154,6 +908,7 @@ class DrawingState {
     return {
       totalOperations: this.operations.length,
       activeOperations: this.getActiveOperations().length,
+      compactedOperations: this.compactedCount,
       currentIndex: this.currentIndex
     };
   }
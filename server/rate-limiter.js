@@ -0,0 +1,167 @@
+/**
+ * Rate Limiting
+ * Token buckets per socket and per event type, with escalating responses for
+ * clients that keep going over their limits
+ */
+
+// rate = tokens refilled per second, burst = bucket size
+const DEFAULT_LIMITS = {
+    total: { rate: 200, burst: 400 }, // Every event from one socket
+    default: { rate: 20, burst: 40 },
+    events: {
+        'drawing-event': { rate: 60, burst: 120 },
+        'cursor-move': { rate: 60, burst: 120 },
+        'undo-request': { rate: 20, burst: 40 },
+        'redo-request': { rate: 20, burst: 40 },
+        'join-room': { rate: 1, burst: 5 },
+        'set-theme': { rate: 1, burst: 3 },
+        'admin-set-read-only': { rate: 1, burst: 3 },
+        'admin-clear-all': { rate: 1, burst: 3 },
+        'admin-import-board': { rate: 1, burst: 3 },
+        'admin-create-checkpoint': { rate: 1, burst: 3 },
+        'admin-restore-checkpoint': { rate: 1, burst: 3 },
+        'fork-room': { rate: 0.2, burst: 2 },
+        'set-room-password': { rate: 0.2, burst: 2 },
+        'admin-create-invite': { rate: 1, burst: 5 },
+        'admin-claim-ownership': { rate: 1, burst: 3 },
+        'asset-upload': { rate: 1, burst: 100 } // HTTP image uploads, per IP address (board imports upload many)
+    },
+    // Dropped events within `window` ms: warn once at `warnAfter`, disconnect at `disconnectAfter`
+    escalation: { window: 10000, warnAfter: 10, disconnectAfter: 300 }
+};
+
+class TokenBucket {
+    constructor(rate, burst, now = Date.now()) {
+        this.rate = rate;
+        this.burst = burst;
+        this.tokens = burst;
+        this.updatedAt = now;
+    }
+
+    /**
+     * Take one token if available
+     */
+    take(now = Date.now()) {
+        const elapsed = (now - this.updatedAt) / 1000;
+        this.tokens = Math.min(this.burst, this.tokens + elapsed * this.rate);
+        this.updatedAt = now;
+
+        if (this.tokens < 1) return false;
+        this.tokens -= 1;
+        return true;
+    }
+}
+
+/**
+ * Limits for a single socket
+ */
+class RateLimiter {
+    constructor(config = DEFAULT_LIMITS, now = Date.now()) {
+        this.config = config;
+        this.total = new TokenBucket(config.total.rate, config.total.burst, now);
+        this.buckets = new Map(); // eventName -> TokenBucket
+
+        this.violations = 0;
+        this.windowStart = now;
+        this.warned = false;
+    }
+
+    getBucket(eventName, now = Date.now()) {
+        if (!this.buckets.has(eventName)) {
+            const limit = this.config.events[eventName] || this.config.default;
+            this.buckets.set(eventName, new TokenBucket(limit.rate, limit.burst, now));
+        }
+        return this.buckets.get(eventName);
+    }
+
+    /**
+     * Check an incoming event
+     * Returns 'allow', or for an event over the limit 'drop', 'warn' (drop and tell
+     * the client) or 'disconnect'
+     */
+    check(eventName, now = Date.now()) {
+        // Both buckets are charged so a flood of one event also eats into the total
+        const allowedByEvent = this.getBucket(eventName, now).take(now);
+        const allowedByTotal = this.total.take(now);
+        if (allowedByEvent && allowedByTotal) return 'allow';
+
+        const { window, warnAfter, disconnectAfter } = this.config.escalation;
+        if (now - this.windowStart > window) {
+            this.windowStart = now;
+            this.violations = 0;
+            this.warned = false;
+        }
+        this.violations++;
+
+        if (this.violations >= disconnectAfter) return 'disconnect';
+        if (this.violations >= warnAfter && !this.warned) {
+            this.warned = true;
+            return 'warn';
+        }
+        return 'drop';
+    }
+}
+
+/**
+ * Token buckets by key, e.g. per IP address for HTTP requests
+ * Buckets that have filled up again are dropped once `maxKeys` is reached.
+ */
+class KeyedRateLimiter {
+    constructor(limit, maxKeys = 10000) {
+        this.limit = limit;
+        this.maxKeys = maxKeys;
+        this.buckets = new Map(); // key -> TokenBucket
+    }
+
+    /**
+     * Take one token for a key if available
+     */
+    take(key, now = Date.now()) {
+        let bucket = this.buckets.get(key);
+        if (!bucket) {
+            if (this.buckets.size >= this.maxKeys) this.prune(now);
+            bucket = new TokenBucket(this.limit.rate, this.limit.burst, now);
+            this.buckets.set(key, bucket);
+        }
+        return bucket.take(now);
+    }
+
+    prune(now = Date.now()) {
+        for (const [key, bucket] of this.buckets) {
+            const elapsed = (now - bucket.updatedAt) / 1000;
+            if (bucket.tokens + elapsed * bucket.rate >= bucket.burst) {
+                this.buckets.delete(key);
+            }
+        }
+    }
+}
+
+/**
+ * Build the rate limit config, with overrides from CANVAS_RATE_LIMITS (JSON), e.g.
+ * {"events": {"cursor-move": {"rate": 30, "burst": 60}}, "escalation": {"disconnectAfter": 100}}
+ */
+function createRateLimitConfig(env = process.env) {
+    let overrides = {};
+    if (env.CANVAS_RATE_LIMITS) {
+        try {
+            overrides = JSON.parse(env.CANVAS_RATE_LIMITS);
+        } catch (error) {
+            console.error('Ignoring invalid CANVAS_RATE_LIMITS:', error.message);
+        }
+    }
+
+    return {
+        total: { ...DEFAULT_LIMITS.total, ...overrides.total },
+        default: { ...DEFAULT_LIMITS.default, ...overrides.default },
+        events: { ...DEFAULT_LIMITS.events, ...overrides.events },
+        escalation: { ...DEFAULT_LIMITS.escalation, ...overrides.escalation }
+    };
+}
+
+module.exports = {
+    DEFAULT_LIMITS,
+    TokenBucket,
+    RateLimiter,
+    KeyedRateLimiter,
+    createRateLimitConfig
+};
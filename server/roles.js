@@ -0,0 +1,54 @@
+/**
+ * Room Roles
+ * What each role in a room may do. Roles are kept per user by RoomManager and
+ * checked by the socket handlers before anything is changed.
+ */
+
+const ROLES = ['owner', 'admin', 'editor', 'commenter', 'viewer'];
+
+const DEFAULT_ROLE = 'editor'; // Everyone joining a room can draw unless told otherwise
+
+// Roles with admin rights (moderation, global undo, clear all, checkpoints...)
+const ADMIN_ROLES = ['owner', 'admin'];
+
+// Roles admins hand out from the user list (admin rights are passed on separately)
+const ASSIGNABLE_ROLES = ['editor', 'commenter', 'viewer'];
+
+// drawing-event types each role may send (null = all)
+const DRAWING_TYPES = {
+    owner: null,
+    admin: null,
+    editor: null,
+    commenter: ['text', 'text-preview'], // Text notes only
+    viewer: []
+};
+
+function isAdminRole(role) {
+    return ADMIN_ROLES.includes(role);
+}
+
+/**
+ * Check whether a role may send a drawing event of this type
+ */
+function canDraw(role, type) {
+    const types = DRAWING_TYPES[role];
+    if (types === undefined) return false;
+    return types === null || types.includes(type);
+}
+
+/**
+ * Check whether a role may undo, redo or clear its own operations
+ */
+function canEdit(role) {
+    const types = DRAWING_TYPES[role];
+    return types === null || (Array.isArray(types) && types.length > 0);
+}
+
+module.exports = {
+    ROLES,
+    DEFAULT_ROLE,
+    ASSIGNABLE_ROLES,
+    isAdminRole,
+    canDraw,
+    canEdit
+};
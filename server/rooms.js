@@ -3,50 +3,449 @@
  * Handles user tracking, color assignment, and room state
  */
 
+const { v4: uuidv4 } = require('uuid');
 const DrawingState = require('./drawing-state');
+const { MemoryStorage } = require('./storage');
+const { extractInlineImages } = require('./assets');
+const { DEFAULT_ROLE, isAdminRole } = require('./roles');
+const { createSecret, hashOwnerKey, checkJoin } = require('./access');
+const { createBan, isActive, findBan, describeBan } = require('./bans');
+
+// How long a session can be resumed after its user disconnects
+const SESSION_TTL = 24 * 60 * 60 * 1000;
 
 class RoomManager {
-    constructor() {
-        this.rooms = new Map(); // roomId -> Room
+    constructor(storage) {
+        this.rooms = new Map(); // roomId -> Room (only rooms with connected users)
+        this.storage = storage || new MemoryStorage();
+        this.assets = null; // Image asset store, for moving inline images out of loaded rooms
+        this.sessions = new Map(); // sessionToken -> { roomId, userId, color, role, expiresAt }
+        this.mutes = new Map(); // roomId:userId -> { until, previousRole } (outlasts leaving the room)
+    }
+
+    /**
+     * Swap the storage backend used for rooms loaded from now on
+     */
+    setStorage(storage) {
+        this.storage = storage;
+    }
+
+    /**
+     * Set the image asset store
+     */
+    setAssetStore(assets) {
+        this.assets = assets;
     }
 
     /**
      * Get or create a room
+     * Rooms that are not in memory are reloaded from storage
      */
     getRoom(roomId) {
         if (!this.rooms.has(roomId)) {
+            const drawingState = this.loadDrawingState(roomId) ||
+                new DrawingState(roomId, { storage: this.storage });
+
             this.rooms.set(roomId, {
                 id: roomId,
                 users: new Map(), // userId -> User
-                drawingState: new DrawingState(roomId),
-                adminId: null, // First user becomes admin
+                drawingState: drawingState,
+                departedAdmins: new Map(), // userId -> role, for admins who left (they get it back on resume)
+                identities: new Map(), // userId -> { ip, ownerKeyHash }, for bans (never sent to clients)
+                adminHandover: null, // { from, to, previousRole } when admin passed on because the last admin left
+                rateLimits: { dropped: 0, warnings: 0, disconnects: 0 },
                 createdAt: Date.now()
             });
         }
         return this.rooms.get(roomId);
     }
 
+    /**
+     * Load a room's drawing state from storage (null if the room was never saved)
+     * With `readOnly` the state is detached from storage once loaded, so nothing done
+     * with it is written back to the room.
+     */
+    loadDrawingState(roomId, { readOnly = false } = {}) {
+        const drawingState = new DrawingState(roomId, { storage: this.storage });
+        if (!drawingState.load()) return null;
+        if (readOnly) drawingState.storage = null;
+
+        // Rooms saved with inline images get them moved to the asset store once
+        // (a read-only copy only in memory; the room is migrated when it is next joined)
+        if (this.assets && extractInlineImages(drawingState.operations, this.assets) > 0) {
+            drawingState.saveSnapshot();
+        }
+        return drawingState;
+    }
+
+    /**
+     * Drawing state of a room for reading without joining it
+     * Rooms nobody is in are loaded read-only from storage and not kept in memory.
+     */
+    peekDrawingState(roomId) {
+        const room = this.rooms.get(roomId);
+        if (room) return room.drawingState;
+
+        return this.loadDrawingState(roomId, { readOnly: true });
+    }
+
+    /**
+     * Create a new room holding a copy of a room's board
+     * `operations` are the drawings to copy (the active ones or a checkpoint's); the
+     * reference size and settings come from the source room. Image assets are shared
+     * between rooms, so they need no copying. Returns the new room ID and its owner
+     * key, which goes to whoever made the copy.
+     */
+    forkRoom(sourceRoomId, operations) {
+        const source = this.getDrawingState(sourceRoomId);
+        if (!source) return null;
+
+        let roomId;
+        do {
+            roomId = 'room-' + uuidv4().slice(0, 8);
+        } while (this.rooms.has(roomId) || this.storage.load(roomId));
+
+        const drawingState = this.getRoom(roomId).drawingState;
+        if (source.referenceSize) {
+            drawingState.setReferenceSize(source.referenceSize);
+        }
+        // The copy starts out editable, even when the source is in presentation mode
+        const { readOnly, ...settings } = source.settings;
+        if (Object.keys(settings).length > 0) {
+            drawingState.updateSettings(settings);
+        }
+        operations.forEach(op => {
+            drawingState.addOperation(JSON.parse(JSON.stringify(op)));
+        });
+        const ownerKey = this.createOwnerKey(roomId);
+
+        // Nobody is in the new room yet; it lives in storage until someone joins
+        this.unloadRoom(roomId);
+        return { roomId, ownerKey };
+    }
+
+    /**
+     * Compact and snapshot a room, then drop it from memory
+     */
+    unloadRoom(roomId) {
+        const room = this.rooms.get(roomId);
+        if (!room) return;
+
+        room.drawingState.compact();
+        this.rooms.delete(roomId);
+    }
+
+    /**
+     * Snapshot every loaded room (used on shutdown)
+     */
+    saveAll() {
+        for (const room of this.rooms.values()) {
+            try {
+                room.drawingState.saveSnapshot();
+            } catch (error) {
+                console.error(`Error saving room ${room.id}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Check whether a join may go ahead: not banned (see bans.js), and with the room
+     * password, an invite or the owner key if needed (see access.js)
+     * `credentials` also carries the client's `ip`. A rejected join does not keep the
+     * room loaded.
+     */
+    checkAccess(roomId, credentials) {
+        const room = this.getRoom(roomId);
+        const { sessionToken, ownerKey, ip } = credentials;
+        const ban = findBan(room.drawingState.bans, {
+            sessionToken,
+            ownerKeyHash: ownerKey ? hashOwnerKey(ownerKey) : null,
+            ip
+        });
+        const result = ban
+            ? { ok: false, reason: 'banned', expiresAt: ban.expiresAt }
+            : checkJoin(room.drawingState.access, roomId, credentials);
+        if (!result.ok && room.users.size === 0) {
+            this.rooms.delete(roomId);
+        }
+        return result;
+    }
+
+    /**
+     * Secret a room's tokens are signed with (created on first use)
+     */
+    getRoomSecret(roomId) {
+        const drawingState = this.getRoom(roomId).drawingState;
+        if (!drawingState.access || !drawingState.access.secret) {
+            drawingState.updateAccess({ secret: createSecret() });
+        }
+        return drawingState.access.secret;
+    }
+
+    /**
+     * Check whether a room has no owner key yet (created before owner keys existed)
+     */
+    isOwnerless(roomId) {
+        const access = this.getRoom(roomId).drawingState.access;
+        return !access || !access.ownerKey;
+    }
+
+    /**
+     * Check whether a join creates the room: nobody is in it, it has no owner and
+     * nothing has been drawn in it yet
+     */
+    isNewRoom(roomId) {
+        const room = this.getRoom(roomId);
+        return room.users.size === 0 &&
+            this.isOwnerless(roomId) &&
+            room.drawingState.operations.length === 0;
+    }
+
+    /**
+     * Mint a room's owner key (replacing any previous one)
+     * Only its hash is stored; the key itself goes to the owner's browser.
+     */
+    createOwnerKey(roomId) {
+        const ownerKey = createSecret();
+        this.getRoom(roomId).drawingState.updateAccess({ ownerKey: hashOwnerKey(ownerKey) });
+        return ownerKey;
+    }
+
+    /**
+     * Remember how to recognize a user if they are banned
+     */
+    setIdentity(roomId, userId, identity) {
+        const room = this.rooms.get(roomId);
+        if (room) room.identities.set(userId, identity);
+    }
+
+    /**
+     * Ban a user from a room (returns the ban, or null if the user is not in the room)
+     * Their session tokens in this room, the owner key they joined with and (with
+     * `byIp`) their IP address are kept with the room state.
+     */
+    banUser(roomId, userId, { bannedBy, duration, byIp }) {
+        const room = this.rooms.get(roomId);
+        const user = room ? room.users.get(userId) : null;
+        if (!user) return null;
+
+        const sessionTokens = [];
+        for (const [token, session] of this.sessions) {
+            if (session.roomId === roomId && session.userId === userId) sessionTokens.push(token);
+        }
+        const identity = { sessionTokens, ...room.identities.get(userId) };
+
+        const ban = createBan(identity, { userName: user.name, bannedBy, duration, byIp });
+        room.drawingState.addBan(ban);
+        return ban;
+    }
+
+    /**
+     * Lift a ban (returns the lifted ban as shown to admins, or null if there is no such ban)
+     */
+    liftBan(roomId, banId) {
+        const drawingState = this.getRoom(roomId).drawingState;
+        const ban = drawingState.bans.find(entry => entry.id === banId);
+        if (!ban) return null;
+
+        drawingState.removeBan(banId);
+        return describeBan(ban);
+    }
+
+    /**
+     * Active bans in a room, as shown to admins
+     */
+    getBans(roomId) {
+        return this.getRoom(roomId).drawingState.bans.filter(ban => isActive(ban)).map(describeBan);
+    }
+
+    muteKey(roomId, userId) {
+        return roomId + ':' + userId;
+    }
+
+    /**
+     * Mute a user's drawing: they stay in the room as a viewer for `minutes`
+     * Returns the user, or null if they are not in the room or are an admin.
+     */
+    muteUser(roomId, userId, minutes) {
+        const room = this.rooms.get(roomId);
+        const user = room ? room.users.get(userId) : null;
+        if (!user || user.isAdmin) return null;
+
+        // Muting again only extends the mute
+        const existing = this.mutes.get(this.muteKey(roomId, userId));
+        const until = Date.now() + minutes * 60 * 1000;
+        this.mutes.set(this.muteKey(roomId, userId), {
+            until,
+            previousRole: existing ? existing.previousRole : user.role
+        });
+
+        this.applyRole(user, 'viewer');
+        user.mutedUntil = until;
+        return user;
+    }
+
+    /**
+     * End a mute early, or once it has run out with `onlyIfExpired`
+     * Returns the user if they are in the room and got their role back.
+     */
+    unmuteUser(roomId, userId, onlyIfExpired = false) {
+        const key = this.muteKey(roomId, userId);
+        const mute = this.mutes.get(key);
+        if (!mute || (onlyIfExpired && mute.until > Date.now())) return null;
+
+        this.mutes.delete(key);
+
+        const room = this.rooms.get(roomId);
+        const user = room ? room.users.get(userId) : null;
+        if (!user) return null;
+
+        this.applyRole(user, mute.previousRole);
+        user.mutedUntil = null;
+        return user;
+    }
+
+    /**
+     * Forget a user's mute without restoring their previous role
+     */
+    clearMute(roomId, user) {
+        this.mutes.delete(this.muteKey(roomId, user.id));
+        user.mutedUntil = null;
+    }
+
+    /**
+     * Create a resumable session for a user who just joined a room
+     */
+    createSession(roomId, user) {
+        this.pruneSessions();
+
+        const token = uuidv4();
+        this.sessions.set(token, {
+            roomId: roomId,
+            userId: user.id,
+            color: user.color,
+            role: user.role,
+            expiresAt: Date.now() + SESSION_TTL
+        });
+        return token;
+    }
+
+    /**
+     * Look up a session that can be resumed in this room
+     */
+    getSession(roomId, token) {
+        if (!token) return null;
+
+        const session = this.sessions.get(token);
+        if (!session || session.roomId !== roomId) return null;
+
+        if (session.expiresAt < Date.now()) {
+            this.sessions.delete(token);
+            return null;
+        }
+        return session;
+    }
+
+    /**
+     * The user in the room holding a session (null if they are not in the room)
+     */
+    getSessionUser(roomId, token) {
+        const session = this.getSession(roomId, token);
+        const room = this.rooms.get(roomId);
+        if (!session || !room) return null;
+
+        return room.users.get(session.userId) || null;
+    }
+
+    /**
+     * Remember a leaving user's role and restart their session's expiry
+     */
+    updateSession(roomId, user) {
+        for (const session of this.sessions.values()) {
+            if (session.roomId === roomId && session.userId === user.id) {
+                session.role = user.role;
+                session.expiresAt = Date.now() + SESSION_TTL;
+            }
+        }
+    }
+
+    /**
+     * Drop expired sessions
+     */
+    pruneSessions() {
+        const now = Date.now();
+        for (const [token, session] of this.sessions) {
+            if (session.expiresAt < now) {
+                this.sessions.delete(token);
+            }
+        }
+    }
+
     /**
      * Add a user to a room
+     * `grantedRole` comes from the owner key ('owner') or an invite and is always
+     * kept; everyone else gets the default role, except that the first user in an
+     * empty room without an owner moderates as admin. With a resumed session the user keeps their
+     * color and role; admins get their rights back while the room is still loaded,
+     * taking them back from whoever stood in if they were the last admin.
      */
-    addUser(roomId, userId, userName, socketId) {
+    addUser(roomId, userId, userName, socketId, session = null, grantedRole = null) {
         const room = this.getRoom(roomId);
 
-        // First user becomes admin
-        const isAdmin = room.users.size === 0;
-        if (isAdmin) {
-            room.adminId = userId;
+        // Reconnecting before the old connection timed out: take it over
+        const existing = room.users.get(userId);
+        if (existing) {
+            existing.name = userName;
+            existing.socketId = socketId;
+            return existing;
+        }
+
+        // A resumed session keeps its role (admin rights only come back through departedAdmins)
+        let role = session && session.role && !isAdminRole(session.role) ? session.role : (grantedRole || DEFAULT_ROLE);
+
+        if (session && room.departedAdmins.has(userId)) {
+            role = room.departedAdmins.get(userId);
+            room.departedAdmins.delete(userId);
+
+            const handover = room.adminHandover;
+            if (handover && handover.from === userId) {
+                const interimAdmin = room.users.get(handover.to);
+                if (interimAdmin && interimAdmin.role === 'admin') {
+                    this.applyRole(interimAdmin, handover.previousRole);
+                }
+                room.adminHandover = null;
+            }
+        }
+
+        if (grantedRole === 'owner') {
+            role = 'owner';
+        } else if (!grantedRole && room.users.size === 0 && this.isOwnerless(roomId)) {
+            role = 'admin';
+        }
+
+        // A mute outlasts leaving and coming back
+        const muteKey = this.muteKey(roomId, userId);
+        const mute = this.mutes.get(muteKey);
+        let mutedUntil = null;
+        if (mute && (mute.until <= Date.now() || isAdminRole(role))) {
+            this.mutes.delete(muteKey);
+            if (role === 'viewer') role = mute.previousRole;
+        } else if (mute) {
+            role = 'viewer';
+            mutedUntil = mute.until;
         }
 
         // Assign a color to the user
-        const color = this.assignColor(room);
+        const color = session ? session.color : this.assignColor(room);
 
         const user = {
             id: userId,
             name: userName,
             color: color,
             socketId: socketId,
-            isAdmin: isAdmin,
+            role: role,
+            isAdmin: isAdminRole(role),
+            mutedUntil: mutedUntil,
             joinedAt: Date.now()
         };
 
@@ -64,17 +463,23 @@ class RoomManager {
 
         const user = room.users.get(userId);
         room.users.delete(userId);
+        room.identities.delete(userId);
+        if (user) this.updateSession(roomId, user);
+
+        // If the last admin left, assign a new one
+        if (user && user.isAdmin) {
+            room.departedAdmins.set(userId, user.role);
 
-        // If admin left, assign new admin
-        if (userId === room.adminId && room.users.size > 0) {
-            const newAdmin = Array.from(room.users.values())[0];
-            room.adminId = newAdmin.id;
-            newAdmin.isAdmin = true;
+            if (room.users.size > 0 && this.getAdmins(roomId).length === 0) {
+                const newAdmin = Array.from(room.users.values())[0];
+                room.adminHandover = { from: userId, to: newAdmin.id, previousRole: newAdmin.role };
+                this.applyRole(newAdmin, 'admin');
+            }
         }
 
-        // Clean up empty rooms
+        // Unload empty rooms (their state stays in storage)
         if (room.users.size === 0) {
-            this.rooms.delete(roomId);
+            this.unloadRoom(roomId);
         }
 
         return user;
@@ -82,6 +487,79 @@ class RoomManager {
 
 
 
+    /**
+     * Users in a room with admin rights (owner and admins)
+     */
+    getAdmins(roomId) {
+        return this.getRoomUsers(roomId).filter(user => user.isAdmin);
+    }
+
+    /**
+     * Make a user an admin (returns the user, or null if not in the room)
+     * With `previousAdminId` this is a hand-off: that user becomes an editor. Only
+     * admin rights are handed on; ownership stays with the owner key, so an owner
+     * handing off makes the new user an admin, not a second owner, and stays owner.
+     */
+    setAdmin(roomId, userId, previousAdminId = null) {
+        const room = this.rooms.get(roomId);
+        const user = room ? room.users.get(userId) : null;
+        if (!user) return null;
+
+        this.clearMute(roomId, user);
+
+        const previousAdmin = previousAdminId ? room.users.get(previousAdminId) : null;
+        if (previousAdmin && previousAdmin.id !== user.id) {
+            if (user.role !== 'owner') this.applyRole(user, 'admin');
+            if (previousAdmin.role !== 'owner') this.applyRole(previousAdmin, DEFAULT_ROLE);
+        } else if (!user.isAdmin) {
+            this.applyRole(user, 'admin');
+        }
+
+        // Whoever stood in is confirmed (or has handed on)
+        const handover = room.adminHandover;
+        if (handover && (handover.to === user.id || handover.to === previousAdminId)) {
+            room.adminHandover = null;
+        }
+        return user;
+    }
+
+    /**
+     * Take admin rights away from a co-admin (returns the user, or null if not possible)
+     * The owner keeps their rights, and a room always keeps at least one admin.
+     */
+    revokeAdmin(roomId, userId) {
+        const room = this.rooms.get(roomId);
+        const user = room ? room.users.get(userId) : null;
+        if (!user || user.role !== 'admin' || this.getAdmins(roomId).length < 2) return null;
+
+        this.applyRole(user, DEFAULT_ROLE);
+        if (room.adminHandover && room.adminHandover.to === userId) room.adminHandover = null;
+        return user;
+    }
+
+    /**
+     * Change a user's role in a room (returns the user, or null if not in the room)
+     */
+    setRole(roomId, userId, role) {
+        const room = this.rooms.get(roomId);
+        const user = room ? room.users.get(userId) : null;
+        if (!user) return null;
+
+        // An explicit role ends a mute
+        this.clearMute(roomId, user);
+
+        this.applyRole(user, role);
+        return user;
+    }
+
+    /**
+     * Set a user's role, keeping the isAdmin flag in step
+     */
+    applyRole(user, role) {
+        user.role = role;
+        user.isAdmin = isAdminRole(role);
+    }
+
     /**
      * Get all users in a room
      */
@@ -147,6 +625,18 @@ class RoomManager {
         return room ? room.drawingState : null;
     }
 
+    /**
+     * Count an event rejected by the rate limiter ('drop', 'warn' or 'disconnect')
+     */
+    recordRateLimit(roomId, verdict) {
+        const room = this.rooms.get(roomId);
+        if (!room) return;
+
+        room.rateLimits.dropped++;
+        if (verdict === 'warn') room.rateLimits.warnings++;
+        if (verdict === 'disconnect') room.rateLimits.disconnects++;
+    }
+
     /**
      * Get room statistics
      */
@@ -163,6 +653,7 @@ class RoomManager {
                 color: u.color
             })),
             drawingStats: room.drawingState.getStats(),
+            rateLimits: { ...room.rateLimits },
             createdAt: room.createdAt
         };
     }
@@ -6,11 +6,19 @@ const socketIo = require('socket.io');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const roomManager = require('./rooms');
+const { createStorage } = require('./storage');
+const { LIMITS, ValidationError, validateEvent } = require('./validation');
+const { RateLimiter, KeyedRateLimiter, createRateLimitConfig } = require('./rate-limiter');
+const { MAX_ASSET_SIZE, ASSET_ID_PATTERN, createAssetStore } = require('./assets');
+const { renderSvg } = require('./svg-export');
+const { createBoardDocument, parseBoardDocument, rescaleOperation } = require('./board-document');
+const { DEFAULT_ROLE, canDraw, canEdit } = require('./roles');
+const { ACCESS_TTL, createSecret, hashPassword, hashOwnerKey, createToken, canRead } = require('./access');
 
 const app = express();
 const server = http.createServer(app);
 const io = socketIo(server, {
-    maxHttpBufferSize: 1e7, // 10 MB limit for image uploads
+    maxHttpBufferSize: 5e6, // 5 MB for board imports; images are uploaded over HTTP (/api/assets)
     cors: {
         origin: "*",
         methods: ["GET", "POST"]
@@ -19,9 +27,282 @@ const io = socketIo(server, {
 
 const PORT = process.env.PORT || 3000;
 
+// Persist room state so boards survive restarts and empty rooms
+roomManager.setStorage(createStorage());
+
+// Uploaded images, stored once by content hash and shared across rooms
+const assetStore = createAssetStore();
+roomManager.setAssetStore(assetStore);
+
+// Per-socket event limits (overridable with CANVAS_RATE_LIMITS)
+const rateLimitConfig = createRateLimitConfig();
+const uploadLimiter = new KeyedRateLimiter(rateLimitConfig.events['asset-upload']);
+
 // Serve static files from client directory
 app.use(express.static(path.join(__dirname, '../client')));
+// Modules used by both the client and the server
+app.use('/shared', express.static(path.join(__dirname, '../shared')));
+
+/**
+ * Only users in a room who may add images can upload, within a per-IP rate limit
+ * The room and session come in the `X-Room-Id` and `X-Session-Token` headers
+ * (the session token is the one from user-info).
+ */
+function checkUpload(req, res, next) {
+    if (!uploadLimiter.take(req.ip)) {
+        res.set('Retry-After', String(Math.ceil(1 / uploadLimiter.limit.rate))); // Seconds until the next token
+        res.status(429).json({ error: 'Too many uploads, try again later' });
+        return;
+    }
+
+    const user = roomManager.getSessionUser(req.get('X-Room-Id'), req.get('X-Session-Token'));
+    if (!user) {
+        res.status(401).json({ error: 'Join a room to upload images' });
+        return;
+    }
+    if (!canDraw(user.role, 'image')) {
+        res.status(403).json({ error: `Not allowed for role ${user.role}` });
+        return;
+    }
+    next();
+}
+
+/**
+ * Upload an image (raw bytes); responds with its content-addressed asset ID
+ */
+app.post('/api/assets', checkUpload, express.raw({ type: 'image/*', limit: MAX_ASSET_SIZE }), (req, res) => {
+    try {
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            res.status(400).json({ error: 'Expected image data' });
+            return;
+        }
+
+        const assetId = assetStore.put(req.body);
+        if (!assetId) {
+            res.status(415).json({ error: 'Unsupported image type' });
+            return;
+        }
+
+        res.status(201).json({ assetId, url: `/api/assets/${assetId}` });
+    } catch (error) {
+        console.error('Error storing asset:', error);
+        res.status(500).json({ error: 'Failed to store image' });
+    }
+});
+
+/**
+ * Serve an image asset (immutable, so it can be cached forever)
+ */
+app.get('/api/assets/:assetId', (req, res) => {
+    const assetId = req.params.assetId;
+    const asset = ASSET_ID_PATTERN.test(assetId) ? assetStore.get(assetId) : null;
+    if (!asset) {
+        res.status(404).json({ error: 'Asset not found' });
+        return;
+    }
+
+    res.set('Content-Type', asset.type);
+    res.set('Cache-Control', 'public, max-age=31536000, immutable');
+    res.send(asset.data);
+});
+
+/**
+ * Check that an HTTP request may read a room (password-protected rooms need the
+ * `?access=` token from user-info or an `?invite=` token)
+ */
+function canReadRoom(req, res, roomId, drawingState) {
+    if (canRead(drawingState.access, roomId, req.query.access || req.query.invite)) return true;
+
+    res.status(401).json({ error: 'Room is password protected' });
+    return false;
+}
+
+const THUMBNAIL_WIDTH = 320;
+const MAX_THUMBNAIL_WIDTH = 2048;
+
+/**
+ * Render a room's current board as SVG (404 for rooms that were never saved)
+ */
+function sendRoomSvg(req, res, options) {
+    try {
+        const roomId = req.params.roomId;
+        const drawingState = roomId.length <= LIMITS.roomId ? roomManager.peekDrawingState(roomId) : null;
+        if (!drawingState) {
+            res.status(404).json({ error: 'Room not found' });
+            return;
+        }
+        if (!canReadRoom(req, res, roomId, drawingState)) return;
+
+        res.set('Content-Type', 'image/svg+xml');
+        res.set('Cache-Control', 'no-cache'); // Boards change; revalidate with the ETag
+        res.send(renderSvg(drawingState, { assets: assetStore, ...options }));
+    } catch (error) {
+        console.error('Error rendering room SVG:', error);
+        res.status(500).json({ error: 'Failed to render room' });
+    }
+}
+
+/**
+ * Board document (JSON, with embedded images) for backups and imports
+ */
+app.get('/rooms/:roomId/export.json', (req, res) => {
+    try {
+        const roomId = req.params.roomId;
+        const drawingState = roomId.length <= LIMITS.roomId ? roomManager.peekDrawingState(roomId) : null;
+        if (!drawingState) {
+            res.status(404).json({ error: 'Room not found' });
+            return;
+        }
+        if (!canReadRoom(req, res, roomId, drawingState)) return;
+
+        res.set('Cache-Control', 'no-cache');
+        res.json(createBoardDocument(roomId, drawingState, assetStore));
+    } catch (error) {
+        console.error('Error exporting room:', error);
+        res.status(500).json({ error: 'Failed to export room' });
+    }
+});
 
+/**
+ * Full board as SVG
+ */
+app.get('/rooms/:roomId/export.svg', (req, res) => {
+    sendRoomSvg(req, res, {});
+});
+
+/**
+ * Scaled-down board (`?width=` pixels, default 320)
+ */
+app.get('/rooms/:roomId/thumbnail.svg', (req, res) => {
+    const requested = parseInt(req.query.width, 10);
+    const width = Number.isInteger(requested) && requested > 0
+        ? Math.min(requested, MAX_THUMBNAIL_WIDTH)
+        : THUMBNAIL_WIDTH;
+    sendRoomSvg(req, res, { width });
+});
+
+
+/**
+ * Send the room's trash list to every admin in the room
+ */
+function emitTrashList(roomId) {
+    const drawingState = roomManager.getDrawingState(roomId);
+    if (!drawingState) return;
+
+    const trash = drawingState.getTrash();
+    roomManager.getRoomUsers(roomId).forEach(user => {
+        if (user.isAdmin) {
+            io.to(user.socketId).emit('trash-list', trash);
+        }
+    });
+}
+
+/**
+ * Send the room's checkpoint list to its admins
+ */
+function emitCheckpointList(roomId) {
+    const drawingState = roomManager.getDrawingState(roomId);
+    if (!drawingState) return;
+
+    const checkpoints = drawingState.getCheckpoints();
+    roomManager.getRoomUsers(roomId).forEach(user => {
+        if (user.isAdmin) {
+            io.to(user.socketId).emit('checkpoint-list', checkpoints);
+        }
+    });
+}
+
+/**
+ * Record an admin action in the room's audit log and show it to the room's admins
+ * `target` is the user acted on ({ id, name }), if any.
+ */
+function audit(roomId, user, action, target = null, details = {}) {
+    const entry = roomManager.getDrawingState(roomId).addAuditEntry({
+        id: uuidv4(),
+        time: Date.now(),
+        action,
+        userId: user.id,
+        userName: user.name,
+        targetId: target ? target.id : null,
+        targetName: target ? target.name : null,
+        details
+    });
+    roomManager.getAdmins(roomId).forEach(admin => {
+        io.to(admin.socketId).emit('audit-entry', entry);
+    });
+}
+
+/**
+ * Send the room's active bans to its admins
+ */
+function emitBanList(roomId) {
+    const bans = roomManager.getBans(roomId);
+    roomManager.getAdmins(roomId).forEach(admin => {
+        io.to(admin.socketId).emit('ban-list', bans);
+    });
+}
+
+/**
+ * Give a muted user their role back once the mute runs out
+ * (if they are away then, addUser ends the mute when they come back)
+ */
+function scheduleUnmute(roomId, userId, until) {
+    setTimeout(() => {
+        const user = roomManager.unmuteUser(roomId, userId, true);
+        if (user) {
+            io.to(roomId).emit('user-list', roomManager.getRoomUsers(roomId));
+        }
+    }, until - Date.now());
+}
+
+// Messages for join-rejected, by reason
+const JOIN_REJECTIONS = {
+    'banned': 'You are banned from this room',
+    'password-required': 'This room is password protected',
+    'wrong-password': 'Wrong password',
+    'invite-invalid': 'This invite link is not valid',
+    'invite-expired': 'This invite link has expired'
+};
+
+/**
+ * Reject a client event with a structured error
+ */
+function rejectEvent(socket, code, message, details = {}) {
+    socket.emit('error', { message, code, ...details });
+}
+
+/**
+ * Validate an incoming payload against its event schema
+ * Returns the sanitized payload, or null after rejecting an invalid one
+ */
+function validatePayload(socket, eventName, payload) {
+    try {
+        return validateEvent(eventName, payload);
+    } catch (error) {
+        if (!(error instanceof ValidationError)) throw error;
+
+        const tempId = payload && payload.data && payload.data.tempId;
+        rejectEvent(socket, 'invalid-payload', error.message, {
+            event: eventName,
+            field: error.field,
+            tempId: typeof tempId === 'string' ? tempId : undefined
+        });
+        return null;
+    }
+}
+
+/**
+ * Bring a client's canvas up to date
+ * Sends only what changed since `sinceSeq` when possible, the full history otherwise
+ */
+function syncClient(socket, drawingState, sinceSeq) {
+    const delta = sinceSeq !== undefined ? drawingState.getOperationsSince(sinceSeq) : null;
+    if (delta) {
+        socket.emit('operation-delta', delta);
+    } else {
+        socket.emit('operation-history', drawingState.getOperationHistory());
+    }
+}
 
 io.on('connection', (socket) => {
     console.log(`New connection: ${socket.id}`);
@@ -29,18 +310,75 @@ io.on('connection', (socket) => {
     let currentUser = null;
     let currentRoom = null;
 
+    /**
+     * Rate limit every incoming event before it reaches a handler
+     * Events over the limit are dropped; persistent floods get a warning, then a disconnect.
+     */
+    const rateLimiter = new RateLimiter(rateLimitConfig);
+    socket.use(([eventName], next) => {
+        // Packets still buffered from a socket we already cut off
+        if (socket.disconnected) return;
+
+        const verdict = rateLimiter.check(eventName);
+        if (verdict === 'allow') return next();
+
+        if (currentRoom) roomManager.recordRateLimit(currentRoom, verdict);
+
+        if (verdict === 'warn') {
+            rejectEvent(socket, 'rate-limited', 'Too many events, some were dropped', { event: eventName });
+        } else if (verdict === 'disconnect') {
+            console.log(`Disconnecting ${socket.id} for flooding (${eventName})`);
+            socket.disconnect(true);
+        }
+    });
+
     /**
      * User joins a room
      */
-    socket.on('join-room', ({ roomId, userName }) => {
+    socket.on('join-room', (payload) => {
         try {
-            // Generate user ID
-            const userId = uuidv4();
+            const data = validatePayload(socket, 'join-room', payload);
+            if (!data) return;
+            const { roomId, userName, sessionToken, sinceSeq, password, invite, ownerKey } = data;
+
+            // Resume the previous identity if the client still holds a valid session
+            const session = roomManager.getSession(roomId, sessionToken);
+            const userId = session ? session.userId : uuidv4();
+
+            // Banned clients are turned away; password-protected rooms need the
+            // password, an invite link or the owner key
+            const ip = socket.handshake.address;
+            const access = roomManager.checkAccess(roomId, { password, invite, session, sessionToken, ownerKey, ip });
+            if (!access.ok) {
+                socket.emit('join-rejected', {
+                    roomId,
+                    reason: access.reason,
+                    message: JOIN_REJECTIONS[access.reason],
+                    expiresAt: access.expiresAt
+                });
+                console.log(`Join to room ${roomId} rejected: ${access.reason}`);
+                return;
+            }
+
+            // A reconnect can arrive before the old connection has timed out
+            const previous = roomManager.getRoomUsers(roomId).find(u => u.id === userId);
+            const previousSocketId = previous ? previous.socketId : null;
+
+            const drawingState = roomManager.getDrawingState(roomId);
+
+            // Creating a room mints its owner key, kept by the creator's browser
+            const newOwnerKey = roomManager.isNewRoom(roomId) ? roomManager.createOwnerKey(roomId) : null;
 
             // Add user to room
-            const user = roomManager.addUser(roomId, userId, userName, socket.id);
+            const user = roomManager.addUser(roomId, userId, userName, socket.id, session,
+                newOwnerKey ? 'owner' : access.role);
             currentUser = user;
             currentRoom = roomId;
+            const validOwnerKey = newOwnerKey || (access.role === 'owner' ? ownerKey : null);
+            roomManager.setIdentity(roomId, user.id, {
+                ip,
+                ownerKeyHash: validOwnerKey ? hashOwnerKey(validOwnerKey) : null
+            });
 
             // Join socket.io room
             socket.join(roomId);
@@ -50,28 +388,37 @@ io.on('connection', (socket) => {
                 userId: user.id,
                 userName: user.name,
                 color: user.color,
-                isAdmin: user.isAdmin
+                role: user.role,
+                isAdmin: user.isAdmin,
+                sessionToken: session ? sessionToken : roomManager.createSession(roomId, user),
+                resumed: Boolean(session),
+                // For HTTP exports of a password-protected room
+                accessToken: createToken(roomManager.getRoomSecret(roomId), { kind: 'access', room: roomId }, ACCESS_TTL),
+                passwordProtected: Boolean(drawingState.access && drawingState.access.password),
+                ownerKey: newOwnerKey, // Only when the room was just created
+                ownerless: roomManager.isOwnerless(roomId) // Admins can claim ownership
             });
 
-            // Get current drawing state
-            const drawingState = roomManager.getDrawingState(roomId);
-            const history = drawingState.getOperationHistory();
-
-            // Send operation history to new user
-            socket.emit('operation-history', history);
-
-            // Notify all users in room about new user
-            io.to(roomId).emit('user-joined', {
-                userId: user.id,
-                userName: user.name,
-                color: user.color
-            });
+            // Send the operation history (or just what was missed, when resuming)
+            syncClient(socket, drawingState, session ? sinceSeq : undefined);
+
+            if (previousSocketId && previousSocketId !== socket.id) {
+                const staleSocket = io.sockets.sockets.get(previousSocketId);
+                if (staleSocket) staleSocket.disconnect(true);
+            } else {
+                // Notify all users in room about new user
+                io.to(roomId).emit('user-joined', {
+                    userId: user.id,
+                    userName: user.name,
+                    color: user.color
+                });
+            }
 
             // Send updated user list to all clients
             const users = roomManager.getRoomUsers(roomId);
             io.to(roomId).emit('user-list', users);
 
-            console.log(`User ${userName} (${userId}) joined room ${roomId}`);
+            console.log(`User ${userName} (${userId}) ${session ? 'resumed session in' : 'joined'} room ${roomId}`);
         } catch (error) {
             console.error('Error joining room:', error);
             socket.emit('error', { message: 'Failed to join room' });
@@ -81,23 +428,85 @@ io.on('connection', (socket) => {
     /**
      * Drawing event from client
      */
-    socket.on('drawing-event', (data) => {
+    socket.on('drawing-event', (payload) => {
         try {
             if (!currentRoom || !currentUser) return;
 
+            const data = validatePayload(socket, 'drawing-event', payload);
+            if (!data) return;
+
             const drawingState = roomManager.getDrawingState(currentRoom);
+
+            // Presentation mode: nobody draws until an admin turns it off
+            if (drawingState.settings.readOnly) {
+                rejectEvent(socket, 'forbidden', 'The room is read-only', {
+                    event: 'drawing-event',
+                    tempId: data.data.tempId
+                });
+                return;
+            }
+
+            // Muted users stay in the room as viewers until the mute runs out
+            if (currentUser.mutedUntil) {
+                rejectEvent(socket, 'forbidden', 'Drawing is muted', {
+                    event: 'drawing-event',
+                    tempId: data.data.tempId,
+                    mutedUntil: currentUser.mutedUntil
+                });
+                return;
+            }
+
+            // Viewers cannot draw at all, commenters only add text
+            if (!canDraw(currentUser.role, data.type)) {
+                rejectEvent(socket, 'forbidden', `Not allowed for role ${currentUser.role}`, {
+                    event: 'drawing-event',
+                    tempId: data.data.tempId
+                });
+                return;
+            }
+
             const referenceSize = data.data && data.data.referenceSize;
             if (!drawingState.referenceSize &&
                 referenceSize &&
                 referenceSize.width &&
                 referenceSize.height) {
-                drawingState.referenceSize = {
-                    width: referenceSize.width,
-                    height: referenceSize.height
-                };
+                drawingState.setReferenceSize(referenceSize);
                 io.to(currentRoom).emit('reference-size', drawingState.referenceSize);
             }
 
+            // A retried event (its ack was lost) is only acknowledged again
+            const tempId = data.data && data.data.tempId;
+            if (tempId) {
+                const existing = drawingState.findByTempId(currentUser.id, tempId);
+                if (existing) {
+                    socket.emit('drawing-ack', { tempId, id: existing.id, seq: existing.seq });
+                    return;
+                }
+            }
+
+            // Images must reference an uploaded asset
+            if (data.type === 'image' && !assetStore.has(data.data.assetId)) {
+                rejectEvent(socket, 'not-found', 'Image asset not found', { event: 'drawing-event', tempId });
+                return;
+            }
+
+            // Only the author of an operation (or an admin) may move or resize it
+            if (data.data.operationId) {
+                const target = drawingState.findOperation(data.data.operationId);
+                if (!target) {
+                    rejectEvent(socket, 'not-found', 'Operation not found', { event: 'drawing-event', tempId });
+                    return;
+                }
+                if (target.userId !== currentUser.id && !currentUser.isAdmin) {
+                    rejectEvent(socket, 'forbidden', 'Only the owner or an admin can change this', { event: 'drawing-event', tempId });
+                    return;
+                }
+                if (target.locked) {
+                    rejectEvent(socket, 'forbidden', 'This item is locked', { event: 'drawing-event', tempId });
+                    return;
+                }
+            }
+
             // Add operation to history
             const operation = {
                 id: uuidv4(),
@@ -109,28 +518,25 @@ io.on('connection', (socket) => {
                 data: data.data
             };
 
-            // Only add complete strokes/shapes/images to history for undo/redo
-            // Incremental updates are just broadcast for real-time rendering
-            if (data.type === 'draw' || data.type === 'shape' || data.type === 'text' || data.type === 'image' || data.data.isComplete) {
-                drawingState.addOperation(operation);
-            }
-
-            // Handle move operations - update existing operation position
-            if (data.type === 'move' && data.data.operationId) {
-                const existingOp = drawingState.operations.find(op => op.id === data.data.operationId);
-                if (existingOp && existingOp.data) {
-                    existingOp.data.x = data.data.x;
-                    existingOp.data.y = data.data.y;
+            if (data.type === 'move' || data.type === 'resize') {
+                // Move/resize are stored as transforms (before/after) so they can be undone
+                const transform = drawingState.createTransform(data.type, data.data.operationId, data.data);
+                if (!transform) {
+                    rejectEvent(socket, 'invalid-target', `This operation cannot be ${data.type}d`, { event: 'drawing-event', tempId });
+                    return;
                 }
+
+                operation.data = tempId ? { ...transform, tempId } : transform;
+                drawingState.addOperation(operation);
+            } else if (data.type === 'draw' || data.type === 'shape' || data.type === 'text' || data.type === 'image' || data.data.isComplete) {
+                // Only add complete strokes/shapes/images to history for undo/redo
+                // Incremental updates are just broadcast for real-time rendering
+                drawingState.addOperation(operation);
             }
 
-            // Handle resize operations - update existing operation size
-            if (data.type === 'resize' && data.data.operationId) {
-                const existingOp = drawingState.operations.find(op => op.id === data.data.operationId);
-                if (existingOp && existingOp.data) {
-                    existingOp.data.width = data.data.width;
-                    existingOp.data.height = data.data.height;
-                }
+            // Acknowledge stored operations to the sender (tempId -> id mapping)
+            if (tempId && operation.seq) {
+                socket.emit('drawing-ack', { tempId, id: operation.id, seq: operation.seq });
             }
 
             // Broadcast to all users in room (including sender for confirmation)
@@ -141,13 +547,33 @@ io.on('connection', (socket) => {
         }
     });
 
+    /**
+     * Catch-up request: operations added or changed since a sequence number
+     */
+    socket.on('sync-request', (payload) => {
+        try {
+            if (!currentRoom || !currentUser) return;
+
+            const data = validatePayload(socket, 'sync-request', payload);
+            if (!data) return;
+
+            const drawingState = roomManager.getDrawingState(currentRoom);
+            syncClient(socket, drawingState, data && data.sinceSeq);
+        } catch (error) {
+            console.error('Error handling sync request:', error);
+        }
+    });
+
     /**
      * Cursor movement
      */
-    socket.on('cursor-move', (data) => {
+    socket.on('cursor-move', (payload) => {
         try {
             if (!currentRoom || !currentUser) return;
 
+            const data = validatePayload(socket, 'cursor-move', payload);
+            if (!data) return;
+
             // Broadcast cursor position to other users (not sender)
             socket.to(currentRoom).emit('cursor-update', {
                 userId: currentUser.id,
@@ -168,14 +594,25 @@ io.on('connection', (socket) => {
         try {
             if (!currentRoom || !currentUser) return;
 
+            if (!canEdit(currentUser.role)) {
+                rejectEvent(socket, 'forbidden', `Not allowed for role ${currentUser.role}`, { event: 'undo-request' });
+                return;
+            }
+
             const drawingState = roomManager.getDrawingState(currentRoom);
+            if (drawingState.settings.readOnly) {
+                rejectEvent(socket, 'forbidden', 'The room is read-only', { event: 'undo-request' });
+                return;
+            }
             const undoneOperation = drawingState.undo(currentUser.id);
 
             if (undoneOperation) {
                 // Broadcast undo to all users
                 io.to(currentRoom).emit('undo-update', {
-                    operationId: undoneOperation.id
+                    operationId: undoneOperation.id,
+                    rev: undoneOperation.rev
                 });
+                if (undoneOperation.type === 'clear-all') emitTrashList(currentRoom);
 
                 console.log(`User ${currentUser.name} undid operation ${undoneOperation.id}`);
             }
@@ -191,14 +628,25 @@ io.on('connection', (socket) => {
         try {
             if (!currentRoom || !currentUser) return;
 
+            if (!canEdit(currentUser.role)) {
+                rejectEvent(socket, 'forbidden', `Not allowed for role ${currentUser.role}`, { event: 'redo-request' });
+                return;
+            }
+
             const drawingState = roomManager.getDrawingState(currentRoom);
+            if (drawingState.settings.readOnly) {
+                rejectEvent(socket, 'forbidden', 'The room is read-only', { event: 'redo-request' });
+                return;
+            }
             const redoneOperation = drawingState.redo(currentUser.id);
 
             if (redoneOperation) {
                 // Broadcast redo to all users
                 io.to(currentRoom).emit('redo-update', {
-                    operationId: redoneOperation.id
+                    operationId: redoneOperation.id,
+                    rev: redoneOperation.rev
                 });
+                if (redoneOperation.type === 'clear-all') emitTrashList(currentRoom);
 
                 console.log(`User ${currentUser.name} redid operation ${redoneOperation.id}`);
             }
@@ -221,14 +669,25 @@ io.on('connection', (socket) => {
             }
 
             const drawingState = roomManager.getDrawingState(currentRoom);
+            if (drawingState.settings.readOnly) {
+                rejectEvent(socket, 'forbidden', 'The room is read-only', { event: 'admin-undo' });
+                return;
+            }
             const undoneOperation = drawingState.globalUndo();
 
             if (undoneOperation) {
                 // Broadcast undo to all users
                 io.to(currentRoom).emit('undo-update', {
-                    operationId: undoneOperation.id
+                    operationId: undoneOperation.id,
+                    rev: undoneOperation.rev
                 });
+                if (undoneOperation.type === 'clear-all') emitTrashList(currentRoom);
 
+                audit(currentRoom, currentUser, 'global-undo', null, {
+                    operationId: undoneOperation.id,
+                    operationType: undoneOperation.type,
+                    author: undoneOperation.userName || null
+                });
                 console.log(`Admin ${currentUser.name} performed GLOBAL UNDO on operation ${undoneOperation.id}`);
             }
         } catch (error) {
@@ -250,14 +709,25 @@ io.on('connection', (socket) => {
             }
 
             const drawingState = roomManager.getDrawingState(currentRoom);
+            if (drawingState.settings.readOnly) {
+                rejectEvent(socket, 'forbidden', 'The room is read-only', { event: 'admin-redo' });
+                return;
+            }
             const redoneOperation = drawingState.globalRedo();
 
             if (redoneOperation) {
                 // Broadcast redo to all users
                 io.to(currentRoom).emit('redo-update', {
-                    operationId: redoneOperation.id
+                    operationId: redoneOperation.id,
+                    rev: redoneOperation.rev
                 });
+                if (redoneOperation.type === 'clear-all') emitTrashList(currentRoom);
 
+                audit(currentRoom, currentUser, 'global-redo', null, {
+                    operationId: redoneOperation.id,
+                    operationType: redoneOperation.type,
+                    author: redoneOperation.userName || null
+                });
                 console.log(`Admin ${currentUser.name} performed GLOBAL REDO on operation ${redoneOperation.id}`);
             }
         } catch (error) {
@@ -272,17 +742,26 @@ io.on('connection', (socket) => {
         try {
             if (!currentRoom || !currentUser) return;
 
+            if (!canEdit(currentUser.role)) {
+                rejectEvent(socket, 'forbidden', `Not allowed for role ${currentUser.role}`, { event: 'clear-canvas' });
+                return;
+            }
+
             const drawingState = roomManager.getDrawingState(currentRoom);
+            if (drawingState.settings.readOnly) {
+                rejectEvent(socket, 'forbidden', 'The room is read-only', { event: 'clear-canvas' });
+                return;
+            }
 
-            // Mark all operations by this user as undone
-            drawingState.operations.forEach(op => {
-                if (op.userId === currentUser.id) {
-                    op.undone = true;
-                }
-            });
+            // Mark all operations by this user as undone (locked ones stay)
+            const operationIds = drawingState.clearUser(currentUser.id);
 
-            // Broadcast to all users to redraw
-            io.to(currentRoom).emit('canvas-cleared', { userId: currentUser.id });
+            // Broadcast to all users to redraw (with each undo's rev, for history playback)
+            const revs = {};
+            operationIds.forEach(id => {
+                revs[id] = drawingState.findOperation(id).rev;
+            });
+            io.to(currentRoom).emit('canvas-cleared', { userId: currentUser.id, operationIds, revs });
 
             console.log(`User ${currentUser.name} cleared their drawings in room ${currentRoom}`);
         } catch (error) {
@@ -304,11 +783,31 @@ io.on('connection', (socket) => {
             }
 
             const drawingState = roomManager.getDrawingState(currentRoom);
-            drawingState.clear();
+            if (drawingState.settings.readOnly) {
+                rejectEvent(socket, 'forbidden', 'The room is read-only', { event: 'admin-clear-all' });
+                return;
+            }
+
+            // Recorded as a history entry so it can be undone or restored from the trash
+            const operation = {
+                id: uuidv4(),
+                type: 'clear-all',
+                userId: currentUser.id,
+                userName: currentUser.name,
+                userColor: currentUser.color,
+                timestamp: Date.now(),
+                data: drawingState.createClearAll()
+            };
+            drawingState.addOperation(operation);
 
             // Broadcast clear to all users
-            io.to(currentRoom).emit('admin-canvas-cleared');
+            io.to(currentRoom).emit('admin-canvas-cleared', operation);
+            emitTrashList(currentRoom);
 
+            audit(currentRoom, currentUser, 'clear-all', null, {
+                clearId: operation.id,
+                clearedCount: operation.data.clearedIds.length
+            });
             console.log(`Admin ${currentUser.name} cleared all canvas in room ${currentRoom}`);
         } catch (error) {
             console.error('Error clearing canvas:', error);
@@ -316,145 +815,988 @@ io.on('connection', (socket) => {
     });
 
     /**
-     * Admin: Kick user
+     * Admin: List cleared canvases in the trash
      */
-    socket.on('admin-kick-user', (data) => {
+    socket.on('admin-get-trash', () => {
         try {
             if (!currentRoom || !currentUser) return;
 
             // Check if user is admin
             if (!currentUser.isAdmin) {
-                socket.emit('error', { message: 'Only admin can kick users' });
+                socket.emit('error', { message: 'Only admin can view the trash' });
                 return;
             }
 
-            const targetUserId = data.userId;
-            const targetUser = roomManager.getRoom(currentRoom).users.get(targetUserId);
-
-            if (targetUser) {
-                // Notify the kicked user
-                io.to(targetUser.socketId).emit('kicked', {
-                    message: 'You have been removed from the room by admin'
-                });
+            const drawingState = roomManager.getDrawingState(currentRoom);
+            socket.emit('trash-list', drawingState.getTrash());
+        } catch (error) {
+            console.error('Error listing trash:', error);
+        }
+    });
 
-                // Force disconnect
-                const targetSocket = io.sockets.sockets.get(targetUser.socketId);
-                if (targetSocket) {
-                    targetSocket.disconnect(true);
-                }
+    /**
+     * Admin: Room statistics (operation counts, rate-limited events)
+     */
+    socket.on('admin-get-room-stats', () => {
+        try {
+            if (!currentRoom || !currentUser) return;
 
-                console.log(`Admin ${currentUser.name} kicked ${targetUser.name}`);
+            if (!currentUser.isAdmin) {
+                socket.emit('error', { message: 'Only admin can view room stats' });
+                return;
             }
+
+            socket.emit('room-stats', roomManager.getRoomStats(currentRoom));
         } catch (error) {
-            console.error('Error kicking user:', error);
+            console.error('Error getting room stats:', error);
         }
     });
 
     /**
-     * Admin: Set theme for all users
+     * Admin: Restore a cleared canvas from the trash
      */
-    socket.on('set-theme', (data) => {
+    socket.on('admin-restore-trash', (payload) => {
         try {
             if (!currentRoom || !currentUser) return;
 
+            const data = validatePayload(socket, 'admin-restore-trash', payload);
+            if (!data) return;
+
             // Check if user is admin
             if (!currentUser.isAdmin) {
-                socket.emit('error', { message: 'Only admin can change theme' });
+                socket.emit('error', { message: 'Only admin can restore from trash' });
                 return;
             }
 
-            // Broadcast theme change to all users
-            io.to(currentRoom).emit('theme-change', {
-                theme: data.theme
-            });
+            const drawingState = roomManager.getDrawingState(currentRoom);
+            if (drawingState.settings.readOnly) {
+                rejectEvent(socket, 'forbidden', 'The room is read-only', { event: 'admin-restore-trash' });
+                return;
+            }
+            const restored = drawingState.restoreFromTrash(data && data.clearId);
 
-            console.log(`Admin ${currentUser.name} changed theme to ${data.theme}`);
+            if (restored) {
+                // Clients undo the clear-all, bringing back what it hid
+                io.to(currentRoom).emit('undo-update', {
+                    operationId: restored.id,
+                    rev: restored.rev
+                });
+                emitTrashList(currentRoom);
+
+                audit(currentRoom, currentUser, 'restore-trash', null, { clearId: restored.id });
+                console.log(`Admin ${currentUser.name} restored cleared canvas ${restored.id}`);
+            }
         } catch (error) {
-            console.error('Error changing theme:', error);
+            console.error('Error restoring from trash:', error);
         }
     });
 
     /**
-     * Admin: Transfer admin rights
+     * Admin: Save the active drawing as a named checkpoint
      */
-    socket.on('admin-transfer', (data) => {
+    socket.on('admin-create-checkpoint', (payload) => {
         try {
             if (!currentRoom || !currentUser) return;
 
+            const data = validatePayload(socket, 'admin-create-checkpoint', payload);
+            if (!data) return;
+
             // Check if user is admin
             if (!currentUser.isAdmin) {
-                socket.emit('error', { message: 'Only admin can transfer rights' });
+                socket.emit('error', { message: 'Only admin can create checkpoints' });
                 return;
             }
 
-            const newAdminId = data.userId;
-            const result = roomManager.setAdmin(currentRoom, newAdminId);
-
-            if (result) {
-                // Determine socket ID of new admin
-                const newAdminSocketId = result.newAdmin.socketId;
-
-                // Notify new admin
-                io.to(newAdminSocketId).emit('admin-promoted', {
-                    message: 'You have been promoted to Admin by ' + currentUser.name
-                });
+            const drawingState = roomManager.getDrawingState(currentRoom);
+            const checkpoint = drawingState.createCheckpoint({
+                id: uuidv4(),
+                name: data.name,
+                createdAt: Date.now(),
+                createdBy: currentUser.name
+            });
+            emitCheckpointList(currentRoom);
 
-                // Notify old admin (current user) - update their local state if needed
-                // But the user-list update below will handle the UI flags
+            audit(currentRoom, currentUser, 'create-checkpoint', null, { checkpointId: checkpoint.id, name: checkpoint.name });
+            console.log(`Admin ${currentUser.name} created checkpoint "${checkpoint.name}" in room ${currentRoom}`);
+        } catch (error) {
+            console.error('Error creating checkpoint:', error);
+        }
+    });
 
-                // Broadcast updated user list to everyone
-                const users = roomManager.getRoomUsers(currentRoom);
-                io.to(currentRoom).emit('user-list', users);
+    /**
+     * Admin: List checkpoints
+     */
+    socket.on('admin-get-checkpoints', () => {
+        try {
+            if (!currentRoom || !currentUser) return;
 
-                console.log(`Admin ${currentUser.name} transferred rights to ${result.newAdmin.name}`);
+            // Check if user is admin
+            if (!currentUser.isAdmin) {
+                socket.emit('error', { message: 'Only admin can view checkpoints' });
+                return;
             }
+
+            const drawingState = roomManager.getDrawingState(currentRoom);
+            socket.emit('checkpoint-list', drawingState.getCheckpoints());
         } catch (error) {
-            console.error('Error transferring admin rights:', error);
+            console.error('Error listing checkpoints:', error);
         }
     });
 
     /**
-     * User disconnection
+     * Admin: Get a checkpoint's operations for a read-only preview
      */
-    socket.on('disconnect', () => {
+    socket.on('admin-preview-checkpoint', (payload) => {
         try {
-            if (currentUser && currentRoom) {
-                const wasAdmin = currentUser.isAdmin;
-
-                // Remove user from room (this may transfer admin)
-                roomManager.removeUser(currentRoom, currentUser.id);
-
-                // Notify other users
-                socket.to(currentRoom).emit('user-left', {
-                    userId: currentUser.id,
-                    userName: currentUser.name
-                });
+            if (!currentRoom || !currentUser) return;
 
-                // Check if admin was transferred
-                const room = roomManager.getRoom(currentRoom);
-                if (wasAdmin && room && room.adminId) {
-                    const newAdmin = room.users.get(room.adminId);
-                    if (newAdmin) {
-                        // Notify new admin that they are now admin
-                        io.to(newAdmin.socketId).emit('admin-promoted', {
-                            message: 'You are now the room admin!'
-                        });
-                    }
-                }
+            const data = validatePayload(socket, 'admin-preview-checkpoint', payload);
+            if (!data) return;
 
-                // Send updated user list (includes isAdmin flags)
-                const users = roomManager.getRoomUsers(currentRoom);
-                io.to(currentRoom).emit('user-list', users);
+            // Check if user is admin
+            if (!currentUser.isAdmin) {
+                socket.emit('error', { message: 'Only admin can preview checkpoints' });
+                return;
+            }
 
-                console.log(`User ${currentUser.name} (${currentUser.id}) left room ${currentRoom}`);
+            const checkpoint = roomManager.getDrawingState(currentRoom).getCheckpoint(data.checkpointId);
+            if (!checkpoint) {
+                rejectEvent(socket, 'not-found', 'Checkpoint not found', { event: 'admin-preview-checkpoint' });
+                return;
             }
+
+            socket.emit('checkpoint-preview', checkpoint);
         } catch (error) {
-            console.error('Error handling disconnect:', error);
+            console.error('Error previewing checkpoint:', error);
         }
-
-        console.log(`Connection closed: ${socket.id}`);
     });
-});
+
+    /**
+     * Admin: Restore the room to a checkpoint
+     * One undoable action: the current drawing goes to the trash and copies of the
+     * checkpoint's operations take its place.
+     */
+    socket.on('admin-restore-checkpoint', (payload) => {
+        try {
+            if (!currentRoom || !currentUser) return;
+
+            const data = validatePayload(socket, 'admin-restore-checkpoint', payload);
+            if (!data) return;
+
+            // Check if user is admin
+            if (!currentUser.isAdmin) {
+                socket.emit('error', { message: 'Only admin can restore checkpoints' });
+                return;
+            }
+
+            const drawingState = roomManager.getDrawingState(currentRoom);
+            if (drawingState.settings.readOnly) {
+                rejectEvent(socket, 'forbidden', 'The room is read-only', { event: 'admin-restore-checkpoint' });
+                return;
+            }
+            const checkpoint = drawingState.getCheckpoint(data.checkpointId);
+            if (!checkpoint) {
+                rejectEvent(socket, 'not-found', 'Checkpoint not found', { event: 'admin-restore-checkpoint' });
+                return;
+            }
+
+            const copies = checkpoint.operations.map(op => ({
+                ...op,
+                id: uuidv4(),
+                data: JSON.parse(JSON.stringify(op.data))
+            }));
+            const operation = {
+                id: uuidv4(),
+                type: 'clear-all',
+                userId: currentUser.id,
+                userName: currentUser.name,
+                userColor: currentUser.color,
+                timestamp: Date.now(),
+                data: {
+                    ...drawingState.createClearAll(),
+                    restoredIds: copies.map(copy => copy.id),
+                    checkpointId: checkpoint.id,
+                    checkpointName: checkpoint.name
+                }
+            };
+            drawingState.restoreCheckpoint(operation, copies);
+
+            // Everyone reloads the whole board rather than replaying each operation
+            io.to(currentRoom).emit('operation-history', drawingState.getOperationHistory());
+            io.to(currentRoom).emit('checkpoint-restored', {
+                userName: currentUser.name,
+                name: checkpoint.name
+            });
+            emitTrashList(currentRoom);
+
+            audit(currentRoom, currentUser, 'restore-checkpoint', null, { checkpointId: checkpoint.id, name: checkpoint.name });
+            console.log(`Admin ${currentUser.name} restored checkpoint "${checkpoint.name}" in room ${currentRoom}`);
+        } catch (error) {
+            console.error('Error restoring checkpoint:', error);
+        }
+    });
+
+    /**
+     * Duplicate the board into a new room (from a checkpoint for admins)
+     * The client moves itself to the new room when it gets `room-forked`.
+     */
+    socket.on('fork-room', (payload) => {
+        try {
+            if (!currentRoom || !currentUser) return;
+
+            const data = validatePayload(socket, 'fork-room', payload);
+            if (!data) return;
+
+            // The copy has no password, so read-only roles may not take the board out of the room
+            if (!canEdit(currentUser.role)) {
+                rejectEvent(socket, 'forbidden', `Not allowed for role ${currentUser.role}`, { event: 'fork-room' });
+                return;
+            }
+
+            const drawingState = roomManager.getDrawingState(currentRoom);
+            let operations;
+            if (data.checkpointId) {
+                // Checkpoints are only listed to admins
+                if (!currentUser.isAdmin) {
+                    socket.emit('error', { message: 'Only admin can fork from a checkpoint' });
+                    return;
+                }
+
+                const checkpoint = drawingState.getCheckpoint(data.checkpointId);
+                if (!checkpoint) {
+                    rejectEvent(socket, 'not-found', 'Checkpoint not found', { event: 'fork-room' });
+                    return;
+                }
+                operations = checkpoint.operations;
+            } else {
+                operations = drawingState.copyActiveOperations();
+            }
+
+            // Whoever made the copy owns it
+            const fork = roomManager.forkRoom(currentRoom, operations);
+            if (!fork) {
+                rejectEvent(socket, 'not-found', 'Room not found', { event: 'fork-room' });
+                return;
+            }
+            const { roomId, ownerKey } = fork;
+            socket.emit('room-forked', { roomId, sourceRoomId: currentRoom, ownerKey });
+
+            console.log(`User ${currentUser.name} forked room ${currentRoom} into ${roomId} (${operations.length} operations)`);
+        } catch (error) {
+            console.error('Error forking room:', error);
+        }
+    });
+
+    /**
+     * Admin: Import a board document, replacing the current drawing (which goes to
+     * the trash) or adding to it. Images must have been uploaded to /api/assets first.
+     */
+    socket.on('admin-import-board', (payload) => {
+        try {
+            if (!currentRoom || !currentUser) return;
+
+            const data = validatePayload(socket, 'admin-import-board', payload);
+            if (!data) return;
+
+            // Check if user is admin
+            if (!currentUser.isAdmin) {
+                socket.emit('error', { message: 'Only admin can import a board' });
+                return;
+            }
+
+            const drawingState = roomManager.getDrawingState(currentRoom);
+            if (drawingState.settings.readOnly) {
+                rejectEvent(socket, 'forbidden', 'The room is read-only', { event: 'admin-import-board' });
+                return;
+            }
+
+            let imported;
+            try {
+                imported = parseBoardDocument(data.document);
+            } catch (error) {
+                if (!(error instanceof ValidationError)) throw error;
+                rejectEvent(socket, 'invalid-payload', error.message, { event: 'admin-import-board', field: error.field });
+                return;
+            }
+
+            const missing = imported.operations.find(op => op.type === 'image' && !assetStore.has(op.data.assetId));
+            if (missing) {
+                rejectEvent(socket, 'not-found', 'Image asset not found', { event: 'admin-import-board' });
+                return;
+            }
+
+            const author = {
+                userId: currentUser.id,
+                userName: currentUser.name,
+                userColor: currentUser.color
+            };
+
+            if (data.mode === 'replace') {
+                // Clear through the trash so the previous board can be restored
+                const clearData = drawingState.createClearAll();
+                if (clearData.clearedIds.length > 0) {
+                    drawingState.addOperation({
+                        id: uuidv4(),
+                        type: 'clear-all',
+                        ...author,
+                        timestamp: Date.now(),
+                        data: clearData
+                    });
+                }
+                if (imported.settings.theme) {
+                    drawingState.updateSettings(imported.settings);
+                }
+            }
+
+            // Keep the board's size in reference pixels on this room's canvas
+            if (!drawingState.referenceSize && imported.referenceSize) {
+                drawingState.setReferenceSize(imported.referenceSize);
+            }
+            imported.operations.forEach(op => {
+                const scaled = rescaleOperation(op, imported.referenceSize, drawingState.referenceSize);
+                drawingState.addOperation({
+                    id: uuidv4(),
+                    type: scaled.type,
+                    ...author,
+                    timestamp: Date.now(),
+                    data: scaled.data
+                });
+            });
+
+            // Everyone reloads the whole board rather than replaying each operation
+            io.to(currentRoom).emit('operation-history', drawingState.getOperationHistory());
+            io.to(currentRoom).emit('board-imported', {
+                userName: currentUser.name,
+                mode: data.mode,
+                count: imported.operations.length
+            });
+            if (data.mode === 'replace') emitTrashList(currentRoom);
+
+            audit(currentRoom, currentUser, 'import-board', null, { mode: data.mode, count: imported.operations.length });
+            console.log(`Admin ${currentUser.name} imported ${imported.operations.length} operations into room ${currentRoom} (${data.mode})`);
+        } catch (error) {
+            console.error('Error importing board:', error);
+        }
+    });
+
+    /**
+     * Admin: Kick user
+     */
+    socket.on('admin-kick-user', (payload) => {
+        try {
+            if (!currentRoom || !currentUser) return;
+
+            const data = validatePayload(socket, 'admin-kick-user', payload);
+            if (!data) return;
+
+            // Check if user is admin
+            if (!currentUser.isAdmin) {
+                socket.emit('error', { message: 'Only admin can kick users' });
+                return;
+            }
+
+            const targetUserId = data.userId;
+            const targetUser = roomManager.getRoom(currentRoom).users.get(targetUserId);
+
+            if (targetUser) {
+                if (targetUser.role === 'owner') {
+                    rejectEvent(socket, 'forbidden', 'The owner cannot be removed', { event: 'admin-kick-user' });
+                    return;
+                }
+
+                // A removed admin does not get admin rights back by resuming their session
+                if (targetUser.isAdmin) roomManager.setRole(currentRoom, targetUser.id, DEFAULT_ROLE);
+
+                // Notify the kicked user
+                io.to(targetUser.socketId).emit('kicked', {
+                    message: 'You have been removed from the room by admin'
+                });
+
+                // Force disconnect
+                const targetSocket = io.sockets.sockets.get(targetUser.socketId);
+                if (targetSocket) {
+                    targetSocket.disconnect(true);
+                }
+
+                audit(currentRoom, currentUser, 'kick', targetUser);
+                console.log(`Admin ${currentUser.name} kicked ${targetUser.name}`);
+            }
+        } catch (error) {
+            console.error('Error kicking user:', error);
+        }
+    });
+
+    /**
+     * Admin: Ban a user (removes them and keeps them from joining again)
+     */
+    socket.on('admin-ban-user', (payload) => {
+        try {
+            if (!currentRoom || !currentUser) return;
+
+            const data = validatePayload(socket, 'admin-ban-user', payload);
+            if (!data) return;
+
+            // Check if user is admin
+            if (!currentUser.isAdmin) {
+                socket.emit('error', { message: 'Only admin can ban users' });
+                return;
+            }
+
+            const targetUser = roomManager.getRoom(currentRoom).users.get(data.userId);
+            if (!targetUser) {
+                rejectEvent(socket, 'not-found', 'User not found', { event: 'admin-ban-user' });
+                return;
+            }
+            if (targetUser.role === 'owner' || targetUser.id === currentUser.id) {
+                rejectEvent(socket, 'forbidden', 'This user cannot be banned', { event: 'admin-ban-user' });
+                return;
+            }
+
+            const ban = roomManager.banUser(currentRoom, targetUser.id, {
+                bannedBy: currentUser.name,
+                duration: data.duration,
+                byIp: Boolean(data.byIp)
+            });
+            if (targetUser.isAdmin) roomManager.setRole(currentRoom, targetUser.id, DEFAULT_ROLE);
+
+            io.to(targetUser.socketId).emit('kicked', {
+                message: ban.expiresAt
+                    ? `You have been banned from the room until ${new Date(ban.expiresAt).toLocaleString()}`
+                    : 'You have been banned from the room'
+            });
+            const targetSocket = io.sockets.sockets.get(targetUser.socketId);
+            if (targetSocket) {
+                targetSocket.disconnect(true);
+            }
+
+            emitBanList(currentRoom);
+
+            audit(currentRoom, currentUser, 'ban', targetUser, {
+                banId: ban.id,
+                expiresAt: ban.expiresAt,
+                byIp: Boolean(ban.ip)
+            });
+            console.log(`Admin ${currentUser.name} banned ${targetUser.name} from room ${currentRoom}`);
+        } catch (error) {
+            console.error('Error banning user:', error);
+        }
+    });
+
+    /**
+     * Admin: Get the room's audit log
+     */
+    socket.on('admin-get-audit-log', () => {
+        try {
+            if (!currentRoom || !currentUser) return;
+
+            // Check if user is admin
+            if (!currentUser.isAdmin) {
+                socket.emit('error', { message: 'Only admin can view the audit log' });
+                return;
+            }
+
+            socket.emit('audit-log', roomManager.getDrawingState(currentRoom).auditLog);
+        } catch (error) {
+            console.error('Error getting audit log:', error);
+        }
+    });
+
+    /**
+     * Admin: Get the room's active bans
+     */
+    socket.on('admin-get-bans', () => {
+        try {
+            if (!currentRoom || !currentUser) return;
+
+            // Check if user is admin
+            if (!currentUser.isAdmin) {
+                socket.emit('error', { message: 'Only admin can view bans' });
+                return;
+            }
+
+            socket.emit('ban-list', roomManager.getBans(currentRoom));
+        } catch (error) {
+            console.error('Error getting bans:', error);
+        }
+    });
+
+    /**
+     * Admin: Lift a ban
+     */
+    socket.on('admin-lift-ban', (payload) => {
+        try {
+            if (!currentRoom || !currentUser) return;
+
+            const data = validatePayload(socket, 'admin-lift-ban', payload);
+            if (!data) return;
+
+            // Check if user is admin
+            if (!currentUser.isAdmin) {
+                socket.emit('error', { message: 'Only admin can lift bans' });
+                return;
+            }
+
+            const ban = roomManager.liftBan(currentRoom, data.banId);
+            if (!ban) {
+                rejectEvent(socket, 'not-found', 'Ban not found', { event: 'admin-lift-ban' });
+                return;
+            }
+
+            emitBanList(currentRoom);
+
+            audit(currentRoom, currentUser, 'lift-ban', { id: null, name: ban.userName }, { banId: ban.id });
+
+            console.log(`Admin ${currentUser.name} lifted ban ${data.banId} in room ${currentRoom}`);
+        } catch (error) {
+            console.error('Error lifting ban:', error);
+        }
+    });
+
+    /**
+     * Admin: Mute a user's drawing for some minutes (they stay as a viewer)
+     */
+    socket.on('admin-mute-user', (payload) => {
+        try {
+            if (!currentRoom || !currentUser) return;
+
+            const data = validatePayload(socket, 'admin-mute-user', payload);
+            if (!data) return;
+
+            // Check if user is admin
+            if (!currentUser.isAdmin) {
+                socket.emit('error', { message: 'Only admin can mute users' });
+                return;
+            }
+
+            const user = roomManager.muteUser(currentRoom, data.userId, data.minutes);
+            if (!user) {
+                rejectEvent(socket, 'forbidden', 'Only users in the room who are not admins can be muted', {
+                    event: 'admin-mute-user'
+                });
+                return;
+            }
+            scheduleUnmute(currentRoom, user.id, user.mutedUntil);
+
+            io.to(currentRoom).emit('user-list', roomManager.getRoomUsers(currentRoom));
+
+            audit(currentRoom, currentUser, 'mute', user, { minutes: data.minutes });
+            console.log(`Admin ${currentUser.name} muted ${user.name} for ${data.minutes} minutes`);
+        } catch (error) {
+            console.error('Error muting user:', error);
+        }
+    });
+
+    /**
+     * Admin: End a mute early
+     */
+    socket.on('admin-unmute-user', (payload) => {
+        try {
+            if (!currentRoom || !currentUser) return;
+
+            const data = validatePayload(socket, 'admin-unmute-user', payload);
+            if (!data) return;
+
+            // Check if user is admin
+            if (!currentUser.isAdmin) {
+                socket.emit('error', { message: 'Only admin can unmute users' });
+                return;
+            }
+
+            const user = roomManager.unmuteUser(currentRoom, data.userId);
+            if (!user) {
+                rejectEvent(socket, 'not-found', 'User is not muted', { event: 'admin-unmute-user' });
+                return;
+            }
+
+            io.to(currentRoom).emit('user-list', roomManager.getRoomUsers(currentRoom));
+
+            audit(currentRoom, currentUser, 'unmute', user);
+            console.log(`Admin ${currentUser.name} unmuted ${user.name}`);
+        } catch (error) {
+            console.error('Error unmuting user:', error);
+        }
+    });
+
+    /**
+     * Admin: Set theme for all users
+     */
+    socket.on('set-theme', (payload) => {
+        try {
+            if (!currentRoom || !currentUser) return;
+
+            const data = validatePayload(socket, 'set-theme', payload);
+            if (!data) return;
+
+            // Check if user is admin
+            if (!currentUser.isAdmin) {
+                socket.emit('error', { message: 'Only admin can change theme' });
+                return;
+            }
+
+            // Remember the theme for users joining later
+            roomManager.getDrawingState(currentRoom).updateSettings({ theme: data.theme });
+
+            // Broadcast theme change to all users
+            io.to(currentRoom).emit('theme-change', {
+                theme: data.theme
+            });
+
+            audit(currentRoom, currentUser, 'set-theme', null, { theme: data.theme });
+            console.log(`Admin ${currentUser.name} changed theme to ${data.theme}`);
+        } catch (error) {
+            console.error('Error changing theme:', error);
+        }
+    });
+
+    /**
+     * Admin: Turn read-only (presentation) mode on or off for the room
+     */
+    socket.on('admin-set-read-only', (payload) => {
+        try {
+            if (!currentRoom || !currentUser) return;
+
+            const data = validatePayload(socket, 'admin-set-read-only', payload);
+            if (!data) return;
+
+            if (!currentUser.isAdmin) {
+                socket.emit('error', { message: 'Only admin can make the room read-only' });
+                return;
+            }
+
+            roomManager.getDrawingState(currentRoom).updateSettings({ readOnly: data.readOnly });
+
+            io.to(currentRoom).emit('read-only-change', {
+                readOnly: data.readOnly,
+                userName: currentUser.name
+            });
+
+            audit(currentRoom, currentUser, 'set-read-only', null, { readOnly: data.readOnly });
+            console.log(`Admin ${currentUser.name} turned read-only mode ${data.readOnly ? 'on' : 'off'} in room ${currentRoom}`);
+        } catch (error) {
+            console.error('Error setting read-only mode:', error);
+        }
+    });
+
+    /**
+     * Admin: Lock an operation so nobody can move, resize, erase or undo it (or unlock it)
+     */
+    socket.on('admin-lock-operation', (payload) => {
+        try {
+            if (!currentRoom || !currentUser) return;
+
+            const data = validatePayload(socket, 'admin-lock-operation', payload);
+            if (!data) return;
+
+            if (!currentUser.isAdmin) {
+                socket.emit('error', { message: 'Only admin can lock items' });
+                return;
+            }
+
+            const operation = roomManager.getDrawingState(currentRoom).setLocked(data.operationId, data.locked);
+            if (!operation) {
+                rejectEvent(socket, 'not-found', 'Item not found', { event: 'admin-lock-operation' });
+                return;
+            }
+
+            io.to(currentRoom).emit('operation-locked', {
+                operationId: operation.id,
+                locked: operation.locked,
+                rev: operation.rev
+            });
+
+            audit(currentRoom, currentUser, data.locked ? 'lock' : 'unlock', null, {
+                operationId: operation.id,
+                operationType: operation.type,
+                author: operation.userName || null
+            });
+            console.log(`Admin ${currentUser.name} ${data.locked ? 'locked' : 'unlocked'} operation ${operation.id}`);
+        } catch (error) {
+            console.error('Error locking operation:', error);
+        }
+    });
+
+    /**
+     * Owner: Set or remove the room password
+     */
+    socket.on('set-room-password', (payload) => {
+        try {
+            if (!currentRoom || !currentUser) return;
+
+            const data = validatePayload(socket, 'set-room-password', payload);
+            if (!data) return;
+
+            if (currentUser.role !== 'owner') {
+                socket.emit('error', { message: 'Only the owner can set the room password' });
+                return;
+            }
+
+            // Users already in the room stay; the password applies to new joins. A new
+            // secret voids the invites and access tokens handed out under the old password.
+            roomManager.getDrawingState(currentRoom).updateAccess({
+                password: data.password ? hashPassword(data.password) : null,
+                secret: createSecret()
+            });
+
+            io.to(currentRoom).emit('room-access', {
+                passwordProtected: Boolean(data.password),
+                accessToken: createToken(roomManager.getRoomSecret(currentRoom), { kind: 'access', room: currentRoom }, ACCESS_TTL)
+            });
+
+            audit(currentRoom, currentUser, data.password ? 'set-password' : 'remove-password');
+            console.log(`Owner ${currentUser.name} ${data.password ? 'set' : 'removed'} the password of room ${currentRoom}`);
+        } catch (error) {
+            console.error('Error setting room password:', error);
+        }
+    });
+
+    /**
+     * Admin: Create an invite link token (skips the password, joins with a role)
+     */
+    socket.on('admin-create-invite', (payload) => {
+        try {
+            if (!currentRoom || !currentUser) return;
+
+            const data = validatePayload(socket, 'admin-create-invite', payload);
+            if (!data) return;
+
+            // Check if user is admin
+            if (!currentUser.isAdmin) {
+                socket.emit('error', { message: 'Only admin can create invite links' });
+                return;
+            }
+
+            const secret = roomManager.getRoomSecret(currentRoom);
+            const invite = createToken(secret, { kind: 'invite', room: currentRoom, role: data.role }, data.ttl);
+
+            socket.emit('invite-created', {
+                invite,
+                role: data.role,
+                expiresAt: Date.now() + data.ttl * 1000
+            });
+
+            audit(currentRoom, currentUser, 'create-invite', null, { role: data.role, ttl: data.ttl });
+            console.log(`Admin ${currentUser.name} created a ${data.role} invite for room ${currentRoom}`);
+        } catch (error) {
+            console.error('Error creating invite:', error);
+        }
+    });
+
+    /**
+     * Admin: Change a user's role (editor, commenter or viewer)
+     */
+    socket.on('admin-set-role', (payload) => {
+        try {
+            if (!currentRoom || !currentUser) return;
+
+            const data = validatePayload(socket, 'admin-set-role', payload);
+            if (!data) return;
+
+            // Check if user is admin
+            if (!currentUser.isAdmin) {
+                socket.emit('error', { message: 'Only admin can change roles' });
+                return;
+            }
+
+            const target = roomManager.getRoom(currentRoom).users.get(data.userId);
+            if (!target) {
+                rejectEvent(socket, 'not-found', 'User not found', { event: 'admin-set-role' });
+                return;
+            }
+            if (target.isAdmin) {
+                rejectEvent(socket, 'forbidden', 'Admins keep their role until admin rights are passed on', { event: 'admin-set-role' });
+                return;
+            }
+
+            roomManager.setRole(currentRoom, target.id, data.role);
+
+            // Everyone's user list shows the new role (the target applies it from there)
+            io.to(currentRoom).emit('user-list', roomManager.getRoomUsers(currentRoom));
+
+            audit(currentRoom, currentUser, 'set-role', target, { role: data.role });
+            console.log(`Admin ${currentUser.name} made ${target.name} ${data.role} in room ${currentRoom}`);
+        } catch (error) {
+            console.error('Error changing role:', error);
+        }
+    });
+
+    /**
+     * Admin: Claim ownership of a room created before owner keys existed
+     */
+    socket.on('admin-claim-ownership', () => {
+        try {
+            if (!currentRoom || !currentUser) return;
+
+            // Check if user is admin
+            if (!currentUser.isAdmin) {
+                socket.emit('error', { message: 'Only admin can claim ownership' });
+                return;
+            }
+            if (!roomManager.isOwnerless(currentRoom)) {
+                rejectEvent(socket, 'forbidden', 'This room already has an owner', { event: 'admin-claim-ownership' });
+                return;
+            }
+
+            const ownerKey = roomManager.createOwnerKey(currentRoom);
+            roomManager.setRole(currentRoom, currentUser.id, 'owner');
+
+            socket.emit('owner-key', { roomId: currentRoom, ownerKey });
+            io.to(currentRoom).emit('user-list', roomManager.getRoomUsers(currentRoom));
+            roomManager.getAdmins(currentRoom).forEach(admin => {
+                io.to(admin.socketId).emit('ownership-claimed', { userName: currentUser.name });
+            });
+
+            audit(currentRoom, currentUser, 'claim-ownership');
+            console.log(`Admin ${currentUser.name} claimed ownership of room ${currentRoom}`);
+        } catch (error) {
+            console.error('Error claiming ownership:', error);
+        }
+    });
+
+    /**
+     * Admin: Make a user a co-admin, or revoke a co-admin's rights
+     */
+    socket.on('admin-set-admin', (payload) => {
+        try {
+            if (!currentRoom || !currentUser) return;
+
+            const data = validatePayload(socket, 'admin-set-admin', payload);
+            if (!data) return;
+
+            // Check if user is admin
+            if (!currentUser.isAdmin) {
+                socket.emit('error', { message: 'Only admin can change admins' });
+                return;
+            }
+
+            let user;
+            if (data.isAdmin) {
+                user = roomManager.setAdmin(currentRoom, data.userId);
+                if (!user) {
+                    rejectEvent(socket, 'not-found', 'User not found', { event: 'admin-set-admin' });
+                    return;
+                }
+
+                io.to(user.socketId).emit('admin-promoted', {
+                    message: 'You have been made an Admin by ' + currentUser.name
+                });
+            } else {
+                user = roomManager.revokeAdmin(currentRoom, data.userId);
+                if (!user) {
+                    rejectEvent(socket, 'forbidden', 'Only co-admins can be revoked, and a room keeps at least one admin', {
+                        event: 'admin-set-admin'
+                    });
+                    return;
+                }
+            }
+
+            // Everyone's user list shows the change (the target applies it from there)
+            io.to(currentRoom).emit('user-list', roomManager.getRoomUsers(currentRoom));
+
+            audit(currentRoom, currentUser, data.isAdmin ? 'make-admin' : 'revoke-admin', user);
+            console.log(`Admin ${currentUser.name} ${data.isAdmin ? 'made' : 'revoked'} admin ${data.userId} in room ${currentRoom}`);
+        } catch (error) {
+            console.error('Error changing admins:', error);
+        }
+    });
+
+    /**
+     * Admin: Transfer admin rights
+     */
+    socket.on('admin-transfer', (payload) => {
+        try {
+            if (!currentRoom || !currentUser) return;
+
+            const data = validatePayload(socket, 'admin-transfer', payload);
+            if (!data) return;
+
+            // Check if user is admin
+            if (!currentUser.isAdmin) {
+                socket.emit('error', { message: 'Only admin can transfer rights' });
+                return;
+            }
+
+            const newAdminId = data.userId;
+            if (newAdminId === currentUser.id) return;
+
+            // The new user becomes admin; currentUser (shared with the room) is now an editor,
+            // unless they are the owner
+            const newAdmin = roomManager.setAdmin(currentRoom, newAdminId, currentUser.id);
+
+            if (newAdmin) {
+                // Notify new admin
+                io.to(newAdmin.socketId).emit('admin-promoted', {
+                    message: 'You have been promoted to Admin by ' + currentUser.name
+                });
+
+                // Broadcast updated user list to everyone (the old admin's client
+                // hides its admin controls from there)
+                const users = roomManager.getRoomUsers(currentRoom);
+                io.to(currentRoom).emit('user-list', users);
+
+                audit(currentRoom, currentUser, 'transfer-admin', newAdmin, { role: newAdmin.role });
+                console.log(`Admin ${currentUser.name} transferred rights to ${newAdmin.name}`);
+            } else {
+                rejectEvent(socket, 'not-found', 'User not found', { event: 'admin-transfer' });
+            }
+        } catch (error) {
+            console.error('Error transferring admin rights:', error);
+        }
+    });
+
+    /**
+     * User disconnection
+     */
+    socket.on('disconnect', () => {
+        try {
+            // A resumed session has already moved this user to a newer connection
+            if (currentUser && currentRoom && currentUser.socketId === socket.id) {
+                const wasAdmin = currentUser.isAdmin;
+
+                // Remove user from room (this may transfer admin)
+                roomManager.removeUser(currentRoom, currentUser.id);
+
+                // Notify other users
+                socket.to(currentRoom).emit('user-left', {
+                    userId: currentUser.id,
+                    userName: currentUser.name
+                });
+
+                // Check if admin was transferred (room is unloaded once empty)
+                const room = roomManager.rooms.get(currentRoom);
+                const handover = room && room.adminHandover;
+                if (wasAdmin && handover && handover.from === currentUser.id) {
+                    const newAdmin = room.users.get(handover.to);
+                    if (newAdmin) {
+                        // Notify new admin that they are now admin
+                        io.to(newAdmin.socketId).emit('admin-promoted', {
+                            message: 'You are now the room admin!'
+                        });
+                    }
+                }
+
+                // Send updated user list (includes isAdmin flags)
+                const users = roomManager.getRoomUsers(currentRoom);
+                io.to(currentRoom).emit('user-list', users);
+
+                console.log(`User ${currentUser.name} (${currentUser.id}) left room ${currentRoom}`);
+            }
+        } catch (error) {
+            console.error('Error handling disconnect:', error);
+        }
+
+        console.log(`Connection closed: ${socket.id}`);
+    });
+});
+
+// Flush room snapshots before exiting
+function shutdown(signal) {
+    console.log(`Received ${signal}, saving rooms...`);
+    roomManager.saveAll();
+    process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
 
 // Start server
 server.listen(PORT, () => {
@@ -0,0 +1,160 @@
+/**
+ * Room Storage
+ * Pluggable persistence for room drawing state (snapshot + operation journal)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * In-memory storage
+ * Keeps rooms alive after everyone leaves, but not across restarts
+ */
+class MemoryStorage {
+    constructor() {
+        this.rooms = new Map(); // roomId -> { snapshot, journal }
+    }
+
+    getEntry(roomId) {
+        if (!this.rooms.has(roomId)) {
+            this.rooms.set(roomId, { snapshot: null, journal: [] });
+        }
+        return this.rooms.get(roomId);
+    }
+
+    /**
+     * Load the latest snapshot and the journal written after it
+     */
+    load(roomId) {
+        const entry = this.rooms.get(roomId);
+        if (!entry) return null;
+
+        return {
+            snapshot: entry.snapshot,
+            journal: entry.journal.slice()
+        };
+    }
+
+    /**
+     * Append a single journal entry
+     */
+    append(roomId, record) {
+        this.getEntry(roomId).journal.push(record);
+    }
+
+    /**
+     * Replace the snapshot and drop the journal it covers
+     */
+    writeSnapshot(roomId, snapshot) {
+        const entry = this.getEntry(roomId);
+        entry.snapshot = snapshot;
+        entry.journal = [];
+    }
+}
+
+/**
+ * File-backed storage
+ * Each room is stored as <id>.snapshot.json plus an append-only <id>.journal
+ * (one JSON record per line) holding everything since that snapshot.
+ */
+class FileStorage {
+    constructor(directory) {
+        this.directory = directory;
+        fs.mkdirSync(this.directory, { recursive: true });
+    }
+
+    /**
+     * Map a room ID to a file-system safe base name
+     */
+    getBaseName(roomId) {
+        const id = String(roomId);
+        if (/^[A-Za-z0-9_-]{1,64}$/.test(id)) {
+            return id;
+        }
+        return 'room-' + crypto.createHash('sha1').update(id).digest('hex');
+    }
+
+    getSnapshotPath(roomId) {
+        return path.join(this.directory, this.getBaseName(roomId) + '.snapshot.json');
+    }
+
+    getJournalPath(roomId) {
+        return path.join(this.directory, this.getBaseName(roomId) + '.journal');
+    }
+
+    /**
+     * Load the latest snapshot and the journal written after it
+     */
+    load(roomId) {
+        const snapshotPath = this.getSnapshotPath(roomId);
+        const journalPath = this.getJournalPath(roomId);
+
+        let snapshot = null;
+        if (fs.existsSync(snapshotPath)) {
+            try {
+                snapshot = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+            } catch (error) {
+                console.error(`Ignoring unreadable snapshot for room ${roomId}:`, error.message);
+            }
+        }
+
+        const journal = [];
+        if (fs.existsSync(journalPath)) {
+            const lines = fs.readFileSync(journalPath, 'utf8').split('\n');
+            for (const line of lines) {
+                if (!line.trim()) continue;
+                try {
+                    journal.push(JSON.parse(line));
+                } catch (error) {
+                    // A torn final line from a crash mid-write; everything before it is intact
+                    console.error(`Skipping corrupt journal line for room ${roomId}`);
+                }
+            }
+        }
+
+        if (!snapshot && journal.length === 0) return null;
+
+        return { snapshot, journal };
+    }
+
+    /**
+     * Append a single journal entry
+     */
+    append(roomId, record) {
+        fs.appendFileSync(this.getJournalPath(roomId), JSON.stringify(record) + '\n');
+    }
+
+    /**
+     * Replace the snapshot and drop the journal it covers
+     * The snapshot is renamed into place so a crash never leaves a half-written file;
+     * journal entries already folded into it are skipped on load by sequence number.
+     */
+    writeSnapshot(roomId, snapshot) {
+        const snapshotPath = this.getSnapshotPath(roomId);
+        const tempPath = snapshotPath + '.tmp';
+
+        fs.writeFileSync(tempPath, JSON.stringify(snapshot));
+        fs.renameSync(tempPath, snapshotPath);
+        fs.writeFileSync(this.getJournalPath(roomId), '');
+    }
+}
+
+/**
+ * Create the storage backend selected by environment variables
+ * CANVAS_STORAGE=memory keeps state in memory only; anything else writes to CANVAS_DATA_DIR
+ */
+function createStorage(env = process.env) {
+    if (env.CANVAS_STORAGE === 'memory') {
+        return new MemoryStorage();
+    }
+
+    const directory = env.CANVAS_DATA_DIR || path.join(__dirname, '../data');
+    return new FileStorage(directory);
+}
+
+module.exports = {
+    MemoryStorage,
+    FileStorage,
+    createStorage
+};
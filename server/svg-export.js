@@ -0,0 +1,46 @@
+/**
+ * SVG Export
+ * Renders a room's active operations to SVG on the server with the same renderer as
+ * the client's BoardExporter (shared/board-svg.js), so boards can be embedded or
+ * archived without a browser
+ */
+
+const { renderBoardSvg } = require('../shared/board-svg');
+
+const DEFAULT_REFERENCE_SIZE = { width: 1920, height: 1080 }; // For rooms no client has sized yet
+
+const isTransform = (op) => (op.type === 'move' || op.type === 'resize') && Boolean(op.data.operationId);
+
+/**
+ * Data URL for an image operation (null if its asset is missing)
+ */
+function getImageHref(op, assets) {
+    if (op.data.src) return op.data.src;
+    if (!assets || !op.data.assetId) return null;
+
+    const asset = assets.get(op.data.assetId);
+    if (!asset) return null;
+    return `data:${asset.type};base64,${asset.data.toString('base64')}`;
+}
+
+/**
+ * Render a room's drawing state as an SVG document
+ * Options: `assets` (store to embed images from), `width` (output width in pixels,
+ * height follows the aspect ratio; defaults to the board size).
+ */
+function renderSvg(drawingState, options = {}) {
+    const { assets = null, width = null } = options;
+    const size = drawingState.referenceSize || DEFAULT_REFERENCE_SIZE;
+    const operations = drawingState.getActiveOperations()
+        .filter(op => op.data && op.type !== 'clear-all' && !isTransform(op));
+
+    return renderBoardSvg(operations, size, {
+        getImageHref: (op) => getImageHref(op, assets),
+        width
+    });
+}
+
+module.exports = {
+    DEFAULT_REFERENCE_SIZE,
+    renderSvg
+};
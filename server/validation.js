@@ -0,0 +1,321 @@
+/**
+ * Event Validation
+ * Per-event schemas for incoming socket payloads. Valid payloads come back with
+ * unknown fields stripped; anything malformed or oversized throws a ValidationError.
+ */
+
+const { ASSET_ID_PATTERN } = require('./assets');
+const { ASSIGNABLE_ROLES } = require('./roles');
+const { INVITE_TTLS } = require('./access');
+const { BAN_DURATIONS, MAX_MUTE_MINUTES } = require('./bans');
+
+const LIMITS = {
+    coordinate: 100,       // Normalized coordinates (0-1 is the reference canvas; panning goes beyond)
+    points: 10000,         // Points per stroke event
+    strokeWidth: 1000,     // Reference pixels
+    fontSize: 2000,        // Reference pixels
+    textLength: 2000,
+    fontLength: 100,
+    imageScale: 10,        // Normalized image width/height
+    referenceSize: 20000,  // Pixels
+    userName: 50,
+    roomId: 100,
+    id: 100,
+    checkpointName: 100,
+    password: 100,
+    token: 1000            // Invite and access tokens, owner keys
+};
+
+const DRAW_TOOLS = ['brush', 'eraser'];
+const SHAPE_TYPES = ['rectangle', 'circle', 'line'];
+const THEMES = ['light', 'dark'];
+
+class ValidationError extends Error {
+    constructor(message, field = null) {
+        super(message);
+        this.name = 'ValidationError';
+        this.field = field;
+    }
+}
+
+// Value checks
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const number = (min, max) => (value) =>
+    typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+
+const positive = (max) => (value) => number(0, max)(value) && value > 0;
+
+const integer = (min, max) => (value) => Number.isInteger(value) && value >= min && value <= max;
+
+const string = (minLength, maxLength) => (value) =>
+    typeof value === 'string' && value.length >= minLength && value.length <= maxLength;
+
+const oneOf = (values) => (value) => values.includes(value);
+
+const boolean = (value) => typeof value === 'boolean';
+
+const color = (value) => typeof value === 'string' && /^#[0-9a-fA-F]{3,8}$/.test(value);
+
+const coordinate = number(-LIMITS.coordinate, LIMITS.coordinate);
+
+const id = string(1, LIMITS.id);
+
+const point = (value) => isObject(value) && coordinate(value.x) && coordinate(value.y);
+
+const points = (value) => Array.isArray(value) &&
+    value.length > 0 &&
+    value.length <= LIMITS.points &&
+    value.every(point);
+
+const assetId = (value) => typeof value === 'string' && ASSET_ID_PATTERN.test(value);
+
+const referenceSize = (value) => isObject(value) &&
+    positive(LIMITS.referenceSize)(value.width) &&
+    positive(LIMITS.referenceSize)(value.height);
+
+// Field specs
+
+const required = (check) => ({ check, required: true });
+const optional = (check) => ({ check, required: false });
+
+// Fields every stored drawing event may carry
+const DRAWING_COMMON = {
+    tempId: optional(id),
+    referenceSize: optional(referenceSize)
+};
+
+const STROKE = {
+    ...DRAWING_COMMON,
+    points: required(points),
+    color: required(color),
+    width: required(positive(LIMITS.strokeWidth)),
+    tool: required(oneOf(DRAW_TOOLS)),
+    isComplete: optional(boolean)
+};
+
+const SHAPE = {
+    ...DRAWING_COMMON,
+    shapeType: required(oneOf(SHAPE_TYPES)),
+    start: required(point),
+    end: required(point),
+    color: required(color),
+    width: required(positive(LIMITS.strokeWidth)),
+    filled: optional(boolean)
+};
+
+const TEXT = {
+    ...DRAWING_COMMON,
+    x: required(coordinate),
+    y: required(coordinate),
+    text: required(string(1, LIMITS.textLength)),
+    color: required(color),
+    fontSize: required(positive(LIMITS.fontSize)),
+    font: optional(string(1, LIMITS.fontLength))
+};
+
+// Preview variants end with a bare { phase: 'end' }
+const PREVIEW_END = {
+    phase: required(oneOf(['end'])),
+    referenceSize: optional(referenceSize)
+};
+
+/**
+ * drawing-event schemas, by event type
+ */
+const DRAWING_SCHEMAS = {
+    'draw': STROKE,
+    'draw-incremental': STROKE,
+    'shape': SHAPE,
+    'text': TEXT,
+    'image': {
+        ...DRAWING_COMMON,
+        x: required(coordinate),
+        y: required(coordinate),
+        assetId: required(assetId),
+        width: required(positive(LIMITS.imageScale)),
+        height: required(positive(LIMITS.imageScale))
+    },
+    'move': {
+        ...DRAWING_COMMON,
+        operationId: required(id),
+        x: required(coordinate),
+        y: required(coordinate)
+    },
+    'resize': {
+        ...DRAWING_COMMON,
+        operationId: required(id),
+        width: required(positive(LIMITS.imageScale)),
+        height: required(positive(LIMITS.imageScale))
+    },
+    'shape-preview': {
+        ...SHAPE,
+        tempId: optional(id)
+    },
+    'text-preview': {
+        ...TEXT,
+        text: required(string(0, LIMITS.textLength))
+    },
+    'move-preview': {
+        operationId: required(id),
+        x: required(coordinate),
+        y: required(coordinate),
+        referenceSize: optional(referenceSize)
+    }
+};
+
+const PREVIEW_TYPES = ['shape-preview', 'text-preview', 'move-preview'];
+
+/**
+ * Schemas for every other client -> server event
+ */
+const EVENT_SCHEMAS = {
+    'join-room': {
+        roomId: required(string(1, LIMITS.roomId)),
+        userName: required(string(1, LIMITS.userName)),
+        sessionToken: optional(id),
+        sinceSeq: optional(integer(0, Number.MAX_SAFE_INTEGER)),
+        password: optional(string(1, LIMITS.password)),
+        invite: optional(string(1, LIMITS.token)),
+        ownerKey: optional(string(1, LIMITS.token))
+    },
+    'cursor-move': {
+        x: required(coordinate),
+        y: required(coordinate)
+    },
+    'sync-request': {
+        sinceSeq: optional(integer(0, Number.MAX_SAFE_INTEGER))
+    },
+    'admin-kick-user': {
+        userId: required(id)
+    },
+    'admin-restore-trash': {
+        clearId: required(id)
+    },
+    'admin-transfer': {
+        userId: required(id)
+    },
+    'admin-ban-user': {
+        userId: required(id),
+        duration: required(oneOf(BAN_DURATIONS)),
+        byIp: optional(boolean)
+    },
+    'admin-lift-ban': {
+        banId: required(id)
+    },
+    'admin-mute-user': {
+        userId: required(id),
+        minutes: required(integer(1, MAX_MUTE_MINUTES))
+    },
+    'admin-unmute-user': {
+        userId: required(id)
+    },
+    'admin-set-admin': {
+        userId: required(id),
+        isAdmin: required(boolean)
+    },
+    'admin-set-role': {
+        userId: required(id),
+        role: required(oneOf(ASSIGNABLE_ROLES))
+    },
+    'admin-create-checkpoint': {
+        name: required(string(1, LIMITS.checkpointName))
+    },
+    'admin-preview-checkpoint': {
+        checkpointId: required(id)
+    },
+    'admin-restore-checkpoint': {
+        checkpointId: required(id)
+    },
+    'fork-room': {
+        checkpointId: optional(id)
+    },
+    'set-theme': {
+        theme: required(oneOf(THEMES))
+    },
+    'admin-set-read-only': {
+        readOnly: required(boolean)
+    },
+    'admin-lock-operation': {
+        operationId: required(id),
+        locked: required(boolean)
+    },
+    'set-room-password': {
+        password: optional(string(1, LIMITS.password)) // Missing removes the password
+    },
+    'admin-create-invite': {
+        role: required(oneOf(ASSIGNABLE_ROLES)),
+        ttl: required(oneOf(INVITE_TTLS))
+    },
+    'admin-import-board': {
+        mode: required(oneOf(['replace', 'merge'])),
+        document: required(isObject) // Checked in detail by parseBoardDocument
+    }
+};
+
+/**
+ * Check an object against a schema, returning a copy with only the known fields
+ */
+function applySchema(schema, payload, context) {
+    if (!isObject(payload)) {
+        throw new ValidationError(`Invalid ${context} payload`);
+    }
+
+    const result = {};
+    for (const [field, spec] of Object.entries(schema)) {
+        const value = payload[field];
+        if (value === undefined || value === null) {
+            if (spec.required) {
+                throw new ValidationError(`Missing ${field} in ${context}`, field);
+            }
+            continue;
+        }
+        if (!spec.check(value)) {
+            throw new ValidationError(`Invalid ${field} in ${context}`, field);
+        }
+        result[field] = value;
+    }
+    return result;
+}
+
+/**
+ * Validate a drawing-event ({ type, data }) against the schema for its type
+ */
+function validateDrawingEvent(event) {
+    if (!isObject(event) || !Object.prototype.hasOwnProperty.call(DRAWING_SCHEMAS, event.type)) {
+        throw new ValidationError('Unknown drawing event type', 'type');
+    }
+
+    const isPreviewEnd = PREVIEW_TYPES.includes(event.type) &&
+        isObject(event.data) &&
+        event.data.phase === 'end';
+    const schema = isPreviewEnd ? PREVIEW_END : DRAWING_SCHEMAS[event.type];
+
+    return {
+        type: event.type,
+        data: applySchema(schema, event.data, event.type)
+    };
+}
+
+/**
+ * Validate the payload of any client event
+ * Events without a schema carry no payload and pass through as an empty object.
+ */
+function validateEvent(eventName, payload) {
+    if (eventName === 'drawing-event') {
+        return validateDrawingEvent(payload);
+    }
+
+    const schema = EVENT_SCHEMAS[eventName];
+    if (!schema) return {};
+
+    return applySchema(schema, payload, eventName);
+}
+
+module.exports = {
+    LIMITS,
+    ValidationError,
+    validateEvent,
+    isReferenceSize: referenceSize
+};
@@ -0,0 +1,281 @@
+/**
+ * Board SVG
+ * Renders operations to an SVG document. Shared by the client's BoardExporter and the
+ * server's export routes (a CommonJS module on the server, `window.BoardSvg` in the
+ * browser), so both produce the same file.
+ * Coordinates are normalized; `size` is the reference canvas they map to.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.BoardSvg = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+    const DEFAULT_FONT = 'Plus Jakarta Sans, sans-serif';
+    const PADDING = 20; // Reference pixels around the content
+
+    const isEraser = (op) => op.type === 'draw' && op.data.tool === 'eraser';
+
+    function escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    /**
+     * Map a normalized point to reference pixels
+     */
+    function toReference(point, size) {
+        return { x: point.x * size.width, y: point.y * size.height };
+    }
+
+    /**
+     * Bounding box of an operation in reference pixels (null if it draws nothing)
+     */
+    function getOperationBounds(op, size) {
+        const { type, data } = op;
+
+        if (type === 'shape') {
+            const start = toReference(data.start, size);
+            const end = toReference(data.end, size);
+            const pad = (data.width || 2) / 2;
+            if (data.shapeType === 'circle') {
+                const radius = Math.hypot(end.x - start.x, end.y - start.y) / 2 + pad;
+                const cx = (start.x + end.x) / 2;
+                const cy = (start.y + end.y) / 2;
+                return { minX: cx - radius, minY: cy - radius, maxX: cx + radius, maxY: cy + radius };
+            }
+            return {
+                minX: Math.min(start.x, end.x) - pad,
+                minY: Math.min(start.y, end.y) - pad,
+                maxX: Math.max(start.x, end.x) + pad,
+                maxY: Math.max(start.y, end.y) + pad
+            };
+        }
+
+        if (type === 'text') {
+            // No text metrics on the server; estimate from the font size
+            const pos = toReference(data, size);
+            const fontSize = data.fontSize || 24;
+            return {
+                minX: pos.x,
+                minY: pos.y,
+                maxX: pos.x + (data.text || '').length * fontSize * 0.6,
+                maxY: pos.y + fontSize * 1.2
+            };
+        }
+
+        if (type === 'image') {
+            const pos = toReference(data, size);
+            const halfWidth = data.width * size.width / 2;
+            const halfHeight = data.height * size.height / 2;
+            return { minX: pos.x - halfWidth, minY: pos.y - halfHeight, maxX: pos.x + halfWidth, maxY: pos.y + halfHeight };
+        }
+
+        if (!Array.isArray(data.points) || data.points.length === 0) return null;
+        const pad = (data.width || 2) / 2;
+        const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+        data.points.forEach(point => {
+            const pos = toReference(point, size);
+            bounds.minX = Math.min(bounds.minX, pos.x - pad);
+            bounds.minY = Math.min(bounds.minY, pos.y - pad);
+            bounds.maxX = Math.max(bounds.maxX, pos.x + pad);
+            bounds.maxY = Math.max(bounds.maxY, pos.y + pad);
+        });
+        return bounds;
+    }
+
+    /**
+     * Padded bounding box of everything drawn, in reference pixels (null for an empty board)
+     */
+    function getContentBounds(operations, size) {
+        const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+
+        operations.forEach(op => {
+            if (isEraser(op)) return;
+            const opBounds = getOperationBounds(op, size);
+            if (!opBounds) return;
+            bounds.minX = Math.min(bounds.minX, opBounds.minX - PADDING);
+            bounds.minY = Math.min(bounds.minY, opBounds.minY - PADDING);
+            bounds.maxX = Math.max(bounds.maxX, opBounds.maxX + PADDING);
+            bounds.maxY = Math.max(bounds.maxY, opBounds.maxY + PADDING);
+        });
+
+        if (bounds.minX === Infinity) return null;
+        return {
+            x: bounds.minX,
+            y: bounds.minY,
+            width: bounds.maxX - bounds.minX,
+            height: bounds.maxY - bounds.minY
+        };
+    }
+
+    /**
+     * Export area: the reference canvas, grown to include anything drawn outside it
+     */
+    function getBoardBounds(operations, size) {
+        const content = getContentBounds(operations, size);
+        if (!content) return { x: 0, y: 0, width: size.width, height: size.height };
+
+        const minX = Math.min(0, content.x);
+        const minY = Math.min(0, content.y);
+        return {
+            x: minX,
+            y: minY,
+            width: Math.max(size.width, content.x + content.width) - minX,
+            height: Math.max(size.height, content.y + content.height) - minY
+        };
+    }
+
+    /**
+     * Path data for a freehand stroke, smoothed like CanvasManager.drawFreehandPixelPath
+     */
+    function getFreehandPathData(points, size) {
+        if (!Array.isArray(points) || points.length < 2) return null;
+
+        const pixelPoints = points.map(point => toReference(point, size));
+        const format = (point) => `${round(point.x)} ${round(point.y)}`;
+        const commands = [`M ${format(pixelPoints[0])}`];
+
+        if (pixelPoints.length < 3) {
+            commands.push(`L ${format(pixelPoints[1])}`);
+            return commands.join(' ');
+        }
+
+        for (let i = 1; i < pixelPoints.length - 1; i++) {
+            const midPoint = {
+                x: (pixelPoints[i].x + pixelPoints[i + 1].x) / 2,
+                y: (pixelPoints[i].y + pixelPoints[i + 1].y) / 2
+            };
+            commands.push(`Q ${format(pixelPoints[i])} ${format(midPoint)}`);
+        }
+        commands.push(`L ${format(pixelPoints[pixelPoints.length - 1])}`);
+
+        return commands.join(' ');
+    }
+
+    /**
+     * SVG markup for one operation
+     * `getImageHref(op)` returns the URL to embed for an image (null to leave it out).
+     */
+    function operationToSvg(op, size, getImageHref) {
+        const { type, data } = op;
+        const strokeAttributes = `fill="none" stroke="${escapeXml(data.color)}" stroke-width="${data.width || 2}" stroke-linecap="round" stroke-linejoin="round"`;
+
+        if (type === 'shape') {
+            const start = toReference(data.start, size);
+            const end = toReference(data.end, size);
+            const paint = data.filled ? `fill="${escapeXml(data.color)}"` : strokeAttributes;
+
+            if (data.shapeType === 'rectangle') {
+                return `<rect x="${Math.min(start.x, end.x)}" y="${Math.min(start.y, end.y)}" ` +
+                    `width="${Math.abs(end.x - start.x)}" height="${Math.abs(end.y - start.y)}" ${paint}/>`;
+            }
+            if (data.shapeType === 'circle') {
+                const radius = Math.hypot(end.x - start.x, end.y - start.y) / 2;
+                return `<circle cx="${(start.x + end.x) / 2}" cy="${(start.y + end.y) / 2}" r="${radius}" ${paint}/>`;
+            }
+            if (data.shapeType === 'line') {
+                return `<line x1="${start.x}" y1="${start.y}" x2="${end.x}" y2="${end.y}" ${strokeAttributes}/>`;
+            }
+            return null;
+        }
+
+        if (type === 'text') {
+            const pos = toReference(data, size);
+            return `<text x="${pos.x}" y="${pos.y}" fill="${escapeXml(data.color)}" font-size="${data.fontSize || 24}" ` +
+                `font-family="${escapeXml(data.font || DEFAULT_FONT)}" dominant-baseline="text-before-edge" xml:space="preserve">` +
+                `${escapeXml(data.text)}</text>`;
+        }
+
+        if (type === 'image') {
+            const href = getImageHref(op);
+            if (!href) return null;
+
+            // The canvas fits images inside their box, centered on (x, y)
+            const pos = toReference(data, size);
+            const boxWidth = data.width * size.width;
+            const boxHeight = data.height * size.height;
+            return `<image x="${pos.x - boxWidth / 2}" y="${pos.y - boxHeight / 2}" width="${boxWidth}" height="${boxHeight}" ` +
+                `preserveAspectRatio="xMidYMid meet" href="${escapeXml(href)}"/>`;
+        }
+
+        const path = getFreehandPathData(data.points, size);
+        return path ? `<path d="${path}" ${strokeAttributes}/>` : null;
+    }
+
+    /**
+     * Render visible operations (in drawing order, transforms already applied) as an SVG document
+     * Eraser strokes become masks over the same user's earlier drawing, matching the
+     * per-user erasing on the canvas; locked operations are left outside the masks.
+     * Options: `getImageHref(op)`, `width` (output width in pixels, height follows the
+     * aspect ratio; defaults to the board size).
+     */
+    function renderBoardSvg(operations, size, { getImageHref = () => null, width = null } = {}) {
+        const bounds = getBoardBounds(operations, size);
+
+        const masks = [];
+        const erasersByUser = new Map(); // userId -> eraser mask ids, in drawing order
+        const elements = []; // { userId, index, markup, locked }
+
+        operations.forEach((op, index) => {
+            if (isEraser(op)) {
+                const path = getFreehandPathData(op.data.points, size);
+                if (!path || !op.userId) return;
+
+                const maskId = `erase-${masks.length}`;
+                masks.push(
+                    `<mask id="${maskId}" maskUnits="userSpaceOnUse" x="${bounds.x}" y="${bounds.y}" width="${bounds.width}" height="${bounds.height}">` +
+                    `<rect x="${bounds.x}" y="${bounds.y}" width="${bounds.width}" height="${bounds.height}" fill="#FFFFFF"/>` +
+                    `<path d="${path}" fill="none" stroke="#000000" stroke-width="${op.data.width || 2}" stroke-linecap="round" stroke-linejoin="round"/>` +
+                    '</mask>'
+                );
+                if (!erasersByUser.has(op.userId)) erasersByUser.set(op.userId, []);
+                erasersByUser.get(op.userId).push({ index, maskId });
+                return;
+            }
+
+            const markup = operationToSvg(op, size, getImageHref);
+            if (markup) elements.push({ userId: op.userId || null, index, markup, locked: Boolean(op.locked) });
+        });
+
+        // Wrap each element in the masks of the later erasers by the same user
+        const body = elements.map(({ userId, index, markup, locked }) => {
+            const erasers = (userId && !locked && erasersByUser.get(userId)) || [];
+            return erasers
+                .filter(eraser => eraser.index > index)
+                .reduce((inner, eraser) => `<g mask="url(#${eraser.maskId})">${inner}</g>`, markup);
+        });
+
+        const outputWidth = width || bounds.width;
+        const outputHeight = outputWidth * bounds.height / bounds.width;
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="${SVG_NS}" viewBox="${bounds.x} ${bounds.y} ${bounds.width} ${bounds.height}" ` +
+                `width="${Math.round(outputWidth)}" height="${Math.round(outputHeight)}">`,
+            masks.length ? `<defs>${masks.join('')}</defs>` : '',
+            `<rect x="${bounds.x}" y="${bounds.y}" width="${bounds.width}" height="${bounds.height}" fill="#FFFFFF"/>`,
+            ...body,
+            '</svg>'
+        ].filter(Boolean).join('\n');
+    }
+
+    return {
+        getOperationBounds,
+        getContentBounds,
+        getBoardBounds,
+        getFreehandPathData,
+        operationToSvg,
+        renderBoardSvg
+    };
+});
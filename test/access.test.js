@@ -0,0 +1,82 @@
+/**
+ * Room access: passwords, invites and access tokens
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSecret, hashPassword, hashOwnerKey, createToken, checkJoin, canRead } = require('../server/access');
+
+const ROOM = 'room-1';
+
+function room({ password } = {}) {
+    return {
+        password: password ? hashPassword(password) : null,
+        secret: createSecret(),
+        ownerKey: hashOwnerKey('owner-key')
+    };
+}
+
+const invite = (access, data = {}, ttl = 3600) =>
+    createToken(access.secret, { kind: 'invite', room: ROOM, role: 'editor', ...data }, ttl);
+
+function tamper(token) {
+    const [body, signature] = token.split('.');
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    payload.role = 'admin';
+    return `${Buffer.from(JSON.stringify(payload)).toString('base64url')}.${signature}`;
+}
+
+test('a valid invite joins with its role', () => {
+    const access = room({ password: 'secret' });
+    assert.deepStrictEqual(checkJoin(access, ROOM, { invite: invite(access) }), { ok: true, role: 'editor' });
+    assert.deepStrictEqual(checkJoin(access, ROOM, { invite: invite(access, { role: 'viewer' }) }), { ok: true, role: 'viewer' });
+});
+
+test('expired, tampered, wrong-room and rotated-secret invites are refused', () => {
+    const access = room({ password: 'secret' });
+    const rotated = { ...access, secret: createSecret() };
+
+    assert.deepStrictEqual(checkJoin(access, ROOM, { invite: invite(access, {}, -1) }), { ok: false, reason: 'invite-expired' });
+    assert.deepStrictEqual(checkJoin(access, ROOM, { invite: tamper(invite(access)) }), { ok: false, reason: 'invite-invalid' });
+    assert.deepStrictEqual(checkJoin(access, ROOM, { invite: invite(access, { room: 'room-2' }) }), { ok: false, reason: 'invite-invalid' });
+    assert.deepStrictEqual(checkJoin(rotated, ROOM, { invite: invite(access) }), { ok: false, reason: 'invite-invalid' });
+    assert.deepStrictEqual(checkJoin(access, ROOM, { invite: invite(access, { role: 'owner' }) }), { ok: false, reason: 'invite-invalid' });
+    assert.deepStrictEqual(checkJoin(access, ROOM, { invite: 'not-a-token' }), { ok: false, reason: 'invite-invalid' });
+});
+
+test('a bad invite is refused in an open room too', () => {
+    const access = room();
+    assert.deepStrictEqual(checkJoin(access, ROOM, {}), { ok: true, role: null });
+    assert.deepStrictEqual(checkJoin(access, ROOM, { invite: invite(access, {}, -1) }), { ok: false, reason: 'invite-expired' });
+    assert.deepStrictEqual(checkJoin(access, ROOM, { invite: tamper(invite(access)) }), { ok: false, reason: 'invite-invalid' });
+});
+
+test('a protected room takes the password in place of a bad invite', () => {
+    const access = room({ password: 'secret' });
+    const expired = invite(access, {}, -1);
+
+    assert.deepStrictEqual(checkJoin(access, ROOM, { invite: expired, password: 'secret' }), { ok: true, role: null });
+    assert.deepStrictEqual(checkJoin(access, ROOM, { invite: expired, password: 'wrong' }), { ok: false, reason: 'wrong-password' });
+    assert.deepStrictEqual(checkJoin(access, ROOM, {}), { ok: false, reason: 'password-required' });
+});
+
+test('the owner key and a resumed session skip the password', () => {
+    const access = room({ password: 'secret' });
+    assert.deepStrictEqual(checkJoin(access, ROOM, { ownerKey: 'owner-key' }), { ok: true, role: 'owner' });
+    assert.deepStrictEqual(checkJoin(access, ROOM, { ownerKey: 'stale-key' }), { ok: false, reason: 'password-required' });
+    assert.deepStrictEqual(checkJoin(access, ROOM, { session: true }), { ok: true, role: null });
+});
+
+test('HTTP reads of a protected room need a current token for that room', () => {
+    const access = room({ password: 'secret' });
+    const token = createToken(access.secret, { kind: 'access', room: ROOM }, 3600);
+
+    assert.strictEqual(canRead(room(), ROOM, undefined), true);
+    assert.strictEqual(canRead(access, ROOM, token), true);
+    assert.strictEqual(canRead(access, ROOM, invite(access)), true);
+    assert.strictEqual(canRead(access, ROOM, undefined), false);
+    assert.strictEqual(canRead(access, ROOM, createToken(access.secret, { kind: 'access', room: ROOM }, -1)), false);
+    assert.strictEqual(canRead(access, ROOM, tamper(token)), false);
+    assert.strictEqual(canRead(access, 'room-2', token), false);
+    assert.strictEqual(canRead({ ...access, secret: createSecret() }, ROOM, token), false);
+});
@@ -0,0 +1,80 @@
+/**
+ * DrawingState undo/redo stacks
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const DrawingState = require('../server/drawing-state');
+
+let nextId = 0;
+
+function draw(state, userId) {
+    return state.addOperation({
+        id: `op-${++nextId}`,
+        type: 'draw',
+        userId,
+        data: { points: [{ x: 0, y: 0 }], color: '#000000', width: 2, tool: 'brush' }
+    });
+}
+
+const isUndone = (state, operation) => state.findOperation(operation.id).undone;
+
+test('redo brings back the most recently undone operation', () => {
+    const state = new DrawingState('room');
+    const a = draw(state, 'alice');
+    const b = draw(state, 'alice');
+
+    assert.strictEqual(state.undo('alice').id, b.id);
+    assert.strictEqual(state.undo('alice').id, a.id);
+
+    assert.strictEqual(state.redo('alice').id, a.id);
+    assert.strictEqual(state.redo('alice').id, b.id);
+    assert.strictEqual(state.redo('alice'), null);
+});
+
+test('undo and redo only touch the user\'s own operations', () => {
+    const state = new DrawingState('room');
+    const a = draw(state, 'alice');
+    const b = draw(state, 'bob');
+
+    assert.strictEqual(state.undo('alice').id, a.id);
+    assert.strictEqual(isUndone(state, b), false);
+    assert.strictEqual(state.redo('bob'), null);
+    assert.strictEqual(state.redo('alice').id, a.id);
+});
+
+test('a new operation clears the author\'s redo stack', () => {
+    const state = new DrawingState('room');
+    const a = draw(state, 'alice');
+    state.undo('alice');
+
+    draw(state, 'alice');
+
+    assert.strictEqual(state.redo('alice'), null);
+    assert.strictEqual(isUndone(state, a), true);
+});
+
+test('room-level undo and redo work across users, most recent first', () => {
+    const state = new DrawingState('room');
+    const a = draw(state, 'alice');
+    const b = draw(state, 'bob');
+
+    assert.strictEqual(state.globalUndo().id, b.id);
+    assert.strictEqual(state.globalUndo().id, a.id);
+
+    assert.strictEqual(state.globalRedo().id, a.id);
+    assert.strictEqual(state.globalRedo().id, b.id);
+    assert.strictEqual(state.globalRedo(), null);
+});
+
+test('users cannot redo what an admin undid, and a new operation clears the room redo stack', () => {
+    const state = new DrawingState('room');
+    const a = draw(state, 'alice');
+
+    state.globalUndo();
+    assert.strictEqual(state.redo('alice'), null);
+
+    draw(state, 'bob');
+    assert.strictEqual(state.globalRedo(), null);
+    assert.strictEqual(isUndone(state, a), true);
+});
@@ -0,0 +1,60 @@
+/**
+ * History playback (client/history.js, run without a browser)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const DrawingState = require('../server/drawing-state');
+
+const source = fs.readFileSync(path.join(__dirname, '../client/history.js'), 'utf8');
+
+function createPlayer(operations) {
+    const context = {};
+    vm.createContext(context);
+    vm.runInContext(`${source}\nthis.HistoryPlayer = HistoryPlayer;`, context);
+
+    const player = new context.HistoryPlayer({
+        operations,
+        isTransformOperation: (op) => (op.type === 'move' || op.type === 'resize') && Boolean(op.data.operationId)
+    });
+    player.steps = operations.filter(op => op.data);
+    return player;
+}
+
+function draw(state, id, userId) {
+    return state.addOperation({
+        id,
+        type: 'draw',
+        userId,
+        data: { points: [{ x: 0, y: 0 }], color: '#000000', width: 2, tool: 'brush' }
+    });
+}
+
+const undoneIds = (operations) => operations.filter(op => op.undone).map(op => op.id);
+
+test('an operation cleared with "clear my drawings" only disappears from the point of the clear', () => {
+    const state = new DrawingState('room');
+    draw(state, 'a', 'alice');
+    draw(state, 'b', 'bob');
+    draw(state, 'c', 'bob');
+
+    // The client's copies, updated from the canvas-cleared broadcast like main.js does
+    const operations = state.operations.map(op => ({ ...op }));
+    const operationIds = state.clearUser('alice');
+    const revs = {};
+    operationIds.forEach(id => {
+        revs[id] = state.findOperation(id).rev;
+    });
+    operations.filter(op => operationIds.includes(op.id)).forEach(op => {
+        op.undone = true;
+        op.rev = revs[op.id];
+    });
+
+    const player = createPlayer(operations);
+    assert.deepStrictEqual(undoneIds(player.buildOperations(1)), []);
+    assert.deepStrictEqual(undoneIds(player.buildOperations(2)), []);
+    assert.deepStrictEqual(undoneIds(player.buildOperations(3)), ['a']);
+});
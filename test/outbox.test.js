@@ -0,0 +1,68 @@
+/**
+ * WebSocketClient outbox replay (client/websocket.js, run without a browser)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const source = fs.readFileSync(path.join(__dirname, '../client/websocket.js'), 'utf8');
+
+function createClient() {
+    const context = {
+        console: { log() {}, warn() {}, error() {} },
+        sessionStorage: { getItem: () => null, setItem() {} },
+        setTimeout: () => 1,
+        clearTimeout() {}
+    };
+    vm.createContext(context);
+    vm.runInContext(`${source}\nthis.WebSocketClient = WebSocketClient;`, context);
+
+    const client = new context.WebSocketClient('http://localhost');
+    client.sent = [];
+    client.socket = { emit: (event, payload) => client.sent.push({ event, payload }) };
+    client.roomId = 'room';
+    return client;
+}
+
+const image = (tempId) => ({ event: 'drawing-event', payload: { type: 'image', data: { tempId, assetId: 'a', x: 0.5, y: 0.5 } } });
+const move = (tempId, operationId) => ({ event: 'drawing-event', payload: { type: 'move', data: { tempId, operationId, x: 0.2, y: 0.2 } } });
+
+test('a queued move of an operation drawn offline waits for its ack and gets the server ID', () => {
+    const client = createClient();
+    client.outbox = [image('temp-image'), move('temp-move', 'temp-image')];
+    client.connected = true;
+
+    client.flushOutbox();
+    assert.deepStrictEqual(client.sent.map(e => e.payload.type), ['image']);
+
+    client.acknowledge({ tempId: 'temp-image', id: 'server-image', seq: 1 });
+    assert.deepStrictEqual(client.sent.map(e => e.payload.type), ['image', 'move']);
+    assert.strictEqual(client.sent[1].payload.data.operationId, 'server-image');
+    assert.strictEqual(client.outbox.length, 0);
+});
+
+test('a move made online before the ack is held back and remapped', () => {
+    const client = createClient();
+    client.connected = true;
+
+    client.send(image('temp-image').event, image('temp-image').payload);
+    client.send(move('temp-move', 'temp-image').event, move('temp-move', 'temp-image').payload);
+    assert.strictEqual(client.sent.length, 1);
+    assert.strictEqual(client.outbox.length, 1);
+
+    client.acknowledge({ tempId: 'temp-image', id: 'server-image', seq: 1 });
+    assert.strictEqual(client.sent.length, 2);
+    assert.strictEqual(client.sent[1].payload.data.operationId, 'server-image');
+});
+
+test('moves of acknowledged operations are sent right away', () => {
+    const client = createClient();
+    client.connected = true;
+
+    client.send(move('temp-move', 'server-image').event, move('temp-move', 'server-image').payload);
+    assert.strictEqual(client.sent.length, 1);
+    assert.strictEqual(client.outbox.length, 0);
+});
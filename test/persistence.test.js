@@ -0,0 +1,148 @@
+/**
+ * DrawingState compaction, delta sync and snapshot + journal persistence
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DrawingState = require('../server/drawing-state');
+const { MemoryStorage, FileStorage } = require('../server/storage');
+
+let nextId = 0;
+
+function draw(state, userId) {
+    return state.addOperation({
+        id: `op-${++nextId}`,
+        type: 'draw',
+        userId,
+        data: { points: [{ x: 0, y: 0 }], color: '#000000', width: 2, tool: 'brush' }
+    });
+}
+
+/**
+ * Build a room that was compacted once and kept changing afterwards
+ * (a redo stack, an undo and new operations only in the journal)
+ */
+function buildRoom(storage) {
+    const state = new DrawingState('room', { storage, keepRecent: 1 });
+    state.load();
+
+    draw(state, 'alice');
+    draw(state, 'alice');
+    state.undo('alice');
+    draw(state, 'alice'); // drops the undone op from the redo stack
+    draw(state, 'bob');
+    state.compact();
+
+    draw(state, 'alice');
+    draw(state, 'bob');
+    state.undo('bob');
+    return state;
+}
+
+function assertSameRoom(loaded, state) {
+    assert.deepStrictEqual(loaded.getOperationHistory(), state.getOperationHistory());
+    assert.deepStrictEqual(loaded.getStacks(), state.getStacks());
+    assert.strictEqual(loaded.compactedSeq, state.compactedSeq);
+    assert.strictEqual(loaded.journalSeq, state.journalSeq);
+
+    // Redo after a reload picks up where the original left off
+    assert.strictEqual(loaded.redo('bob').id, state.redo('bob').id);
+}
+
+test('compaction drops undone operations that can no longer come back', () => {
+    const state = new DrawingState('room', { keepRecent: 1 });
+    const a = draw(state, 'alice');
+    const b = draw(state, 'alice');
+    state.undo('alice');
+    const c = draw(state, 'alice');
+    const d = draw(state, 'bob');
+
+    assert.strictEqual(state.compact(), 1);
+    assert.deepStrictEqual(state.operations.map(op => op.id), [a.id, c.id, d.id]);
+    assert.strictEqual(state.findOperation(b.id), null);
+    assert.strictEqual(state.compactedSeq, state.sequence);
+
+    // Nothing left to fold: the compaction point stays put
+    const compactedSeq = state.compactedSeq;
+    draw(state, 'bob');
+    assert.strictEqual(state.compact(), 0);
+    assert.strictEqual(state.compactedSeq, compactedSeq);
+});
+
+test('deltas from before the last compaction fall back to the full history', () => {
+    const state = new DrawingState('room', { keepRecent: 1 });
+    draw(state, 'alice');
+    const before = state.sequence;
+    draw(state, 'alice');
+    state.undo('alice');
+    draw(state, 'alice');
+    state.compact();
+    const e = draw(state, 'bob');
+
+    assert.strictEqual(state.getOperationsSince(before), null);
+    assert.strictEqual(state.getOperationsSince(state.sequence + 1), null);
+    assert.strictEqual(state.getOperationsSince('3'), null);
+
+    const delta = state.getOperationsSince(state.compactedSeq);
+    assert.deepStrictEqual(delta.operations.map(op => op.id), [e.id]);
+    assert.strictEqual(delta.sequence, state.sequence);
+    assert.deepStrictEqual(state.getOperationsSince(state.sequence).operations, []);
+});
+
+test('a room reloads from its snapshot plus journal in memory storage', () => {
+    const storage = new MemoryStorage();
+    const state = buildRoom(storage);
+
+    const stored = storage.load('room');
+    assert.ok(stored.snapshot);
+    assert.strictEqual(stored.journal.length, 3);
+
+    const loaded = new DrawingState('room', { storage });
+    assert.strictEqual(loaded.load(), true);
+    assertSameRoom(loaded, state);
+});
+
+test('a room reloads from its snapshot plus journal in file storage', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'canvas-storage-'));
+    try {
+        const state = buildRoom(new FileStorage(directory));
+
+        // A torn final journal line (crash mid-write) is skipped; everything before it loads
+        fs.appendFileSync(path.join(directory, 'room.journal'), '{"type":"add","seq":');
+
+        const loaded = new DrawingState('room', { storage: new FileStorage(directory) });
+        assert.strictEqual(loaded.load(), true);
+        assertSameRoom(loaded, state);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test('journal entries already folded into the snapshot are skipped on load', () => {
+    const storage = new MemoryStorage();
+    const state = buildRoom(storage);
+    const journal = storage.load('room').journal;
+
+    // As after a crash between writing the snapshot and truncating the journal
+    state.saveSnapshot();
+    storage.getEntry('room').journal = journal;
+
+    const loaded = new DrawingState('room', { storage });
+    loaded.load();
+    assert.deepStrictEqual(loaded.getOperationHistory(), state.getOperationHistory());
+});
+
+test('rooms without storage or saved state do not load', () => {
+    assert.strictEqual(new DrawingState('room').load(), false);
+    assert.strictEqual(new DrawingState('room', { storage: new MemoryStorage() }).load(), false);
+
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'canvas-storage-'));
+    try {
+        assert.strictEqual(new DrawingState('room', { storage: new FileStorage(directory) }).load(), false);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
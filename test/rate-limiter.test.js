@@ -0,0 +1,115 @@
+/**
+ * Rate limiting: token buckets, escalation and per-key limits
+ * Every check passes an explicit time, so nothing depends on the real clock.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_LIMITS, TokenBucket, RateLimiter, KeyedRateLimiter, createRateLimitConfig } = require('../server/rate-limiter');
+
+const START = 1000000;
+
+function takeMany(bucket, count, now) {
+    let allowed = 0;
+    for (let i = 0; i < count; i++) {
+        if (bucket.take(now)) allowed++;
+    }
+    return allowed;
+}
+
+test('a token bucket allows its burst, then refills at its rate', () => {
+    const bucket = new TokenBucket(2, 5, START);
+
+    assert.strictEqual(takeMany(bucket, 10, START), 5);
+    assert.strictEqual(bucket.take(START + 100), false); // 0.2 tokens back
+
+    assert.strictEqual(bucket.take(START + 500), true); // 1 token back
+    assert.strictEqual(bucket.take(START + 500), false);
+
+    // Never refills beyond the burst
+    assert.strictEqual(takeMany(bucket, 10, START + 60000), 5);
+});
+
+test('events over their own limit are dropped while other events still pass', () => {
+    const limiter = new RateLimiter(DEFAULT_LIMITS, START);
+    const { burst } = DEFAULT_LIMITS.events['set-theme'];
+
+    for (let i = 0; i < burst; i++) {
+        assert.strictEqual(limiter.check('set-theme', START), 'allow');
+    }
+    assert.strictEqual(limiter.check('set-theme', START), 'drop');
+    assert.strictEqual(limiter.check('undo-request', START), 'allow');
+});
+
+test('repeated violations warn once at the threshold and disconnect at the limit', () => {
+    const config = createRateLimitConfig({});
+    const limiter = new RateLimiter(config, START);
+    const { burst } = config.events['set-theme'];
+    const { warnAfter, disconnectAfter } = config.escalation;
+    assert.strictEqual(warnAfter, 10);
+    assert.strictEqual(disconnectAfter, 300);
+
+    for (let i = 0; i < burst; i++) limiter.check('set-theme', START);
+
+    const results = [];
+    for (let i = 1; i <= disconnectAfter; i++) {
+        results.push(limiter.check('set-theme', START));
+    }
+    assert.strictEqual(results.indexOf('warn'), warnAfter - 1);
+    assert.strictEqual(results.filter(result => result === 'warn').length, 1);
+    assert.strictEqual(results[disconnectAfter - 1], 'disconnect');
+    assert.ok(results.slice(0, disconnectAfter - 1).every(result => result !== 'disconnect'));
+});
+
+test('violations are counted per window', () => {
+    const config = createRateLimitConfig({});
+    const limiter = new RateLimiter(config, START);
+    const { window, warnAfter } = config.escalation;
+
+    // Set-theme refills at 1/s, so stay within the window and keep it empty
+    for (let i = 0; i < 3; i++) limiter.check('set-theme', START);
+    for (let i = 1; i < warnAfter; i++) {
+        assert.strictEqual(limiter.check('set-theme', START), 'drop');
+    }
+
+    // A new window starts over: the next violation does not warn
+    const later = START + window + 1;
+    for (let i = 0; i < 3; i++) limiter.check('set-theme', later);
+    assert.strictEqual(limiter.check('set-theme', later), 'drop');
+});
+
+test('overrides from CANVAS_RATE_LIMITS are merged over the defaults', () => {
+    const config = createRateLimitConfig({
+        CANVAS_RATE_LIMITS: JSON.stringify({ events: { 'cursor-move': { rate: 1, burst: 2 } }, escalation: { warnAfter: 3 } })
+    });
+    assert.deepStrictEqual(config.events['cursor-move'], { rate: 1, burst: 2 });
+    assert.deepStrictEqual(config.events['drawing-event'], DEFAULT_LIMITS.events['drawing-event']);
+    assert.strictEqual(config.escalation.warnAfter, 3);
+    assert.strictEqual(config.escalation.disconnectAfter, DEFAULT_LIMITS.escalation.disconnectAfter);
+});
+
+test('a keyed limiter gives every key its own bucket', () => {
+    const limiter = new KeyedRateLimiter({ rate: 1, burst: 2 });
+
+    assert.strictEqual(limiter.take('1.1.1.1', START), true);
+    assert.strictEqual(limiter.take('1.1.1.1', START), true);
+    assert.strictEqual(limiter.take('1.1.1.1', START), false);
+    assert.strictEqual(limiter.take('2.2.2.2', START), true);
+    assert.strictEqual(limiter.take('1.1.1.1', START + 1000), true);
+});
+
+test('a keyed limiter drops full buckets when it reaches its key limit', () => {
+    const limiter = new KeyedRateLimiter({ rate: 1, burst: 2 }, 2);
+    limiter.take('a', START);
+    limiter.take('b', START);
+    limiter.take('b', START);
+
+    // Two seconds later both have refilled; adding a third key prunes them
+    limiter.take('c', START + 2000);
+    assert.deepStrictEqual([...limiter.buckets.keys()], ['c']);
+
+    // Buckets still in use are kept
+    limiter.take('d', START + 2000);
+    limiter.take('e', START + 2000);
+    assert.ok(limiter.buckets.has('c') && limiter.buckets.has('d'));
+});
@@ -0,0 +1,81 @@
+/**
+ * Socket payload validation
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { LIMITS, ValidationError, validateEvent } = require('../server/validation');
+
+const stroke = (data = {}) => ({
+    type: 'draw',
+    data: { points: [{ x: 0.1, y: 0.2 }, { x: 0.3, y: 0.4 }], color: '#112233', width: 4, tool: 'brush', ...data }
+});
+
+function assertRejected(eventName, payload, field) {
+    assert.throws(() => validateEvent(eventName, payload), (error) => {
+        assert.ok(error instanceof ValidationError);
+        assert.strictEqual(error.field, field);
+        return true;
+    });
+}
+
+test('valid drawing events come back with unknown fields stripped', () => {
+    const event = stroke({ tempId: 'temp-1', userId: 'someone-else', rev: 99 });
+    event.extra = true;
+
+    assert.deepStrictEqual(validateEvent('drawing-event', event), {
+        type: 'draw',
+        data: { tempId: 'temp-1', points: event.data.points, color: '#112233', width: 4, tool: 'brush' }
+    });
+});
+
+test('other events are stripped to their schema, and events without one carry nothing', () => {
+    assert.deepStrictEqual(validateEvent('admin-set-role', { userId: 'u1', role: 'viewer', isAdmin: true }), {
+        userId: 'u1',
+        role: 'viewer'
+    });
+    assert.deepStrictEqual(validateEvent('undo-request', { operationId: 'x' }), {});
+});
+
+test('unknown drawing event types and non-object payloads are rejected', () => {
+    assertRejected('drawing-event', { type: 'clear-all', data: {} }, 'type');
+    assertRejected('drawing-event', { type: 'toString', data: {} }, 'type');
+    assertRejected('drawing-event', null, 'type');
+    assertRejected('admin-kick-user', 'u1', null);
+    assertRejected('admin-kick-user', [], null);
+});
+
+test('missing and malformed fields are rejected with the field name', () => {
+    const noColor = { ...stroke().data };
+    delete noColor.color;
+    assertRejected('drawing-event', { type: 'draw', data: noColor }, 'color');
+    assertRejected('drawing-event', stroke({ color: 'red' }), 'color');
+    assertRejected('drawing-event', stroke({ tool: 'laser' }), 'tool');
+    assertRejected('drawing-event', stroke({ width: -1 }), 'width');
+    assertRejected('drawing-event', stroke({ points: [{ x: 'a', y: 0 }] }), 'points');
+    assertRejected('drawing-event', stroke({ points: [] }), 'points');
+    assertRejected('drawing-event', { type: 'image', data: { x: 0, y: 0, assetId: '../etc/passwd', width: 0.1, height: 0.1 } }, 'assetId');
+    assertRejected('admin-set-role', { userId: 'u1', role: 'owner' }, 'role');
+    assertRejected('join-room', { roomId: 'room' }, 'userName');
+});
+
+test('oversized payloads are rejected', () => {
+    const tooManyPoints = Array.from({ length: LIMITS.points + 1 }, () => ({ x: 0, y: 0 }));
+    assertRejected('drawing-event', stroke({ points: tooManyPoints }), 'points');
+    assertRejected('drawing-event', stroke({ width: LIMITS.strokeWidth + 1 }), 'width');
+    assertRejected('drawing-event', stroke({ points: [{ x: LIMITS.coordinate + 1, y: 0 }] }), 'points');
+    assertRejected('drawing-event', stroke({ tempId: 'x'.repeat(LIMITS.id + 1) }), 'tempId');
+    assertRejected('drawing-event', {
+        type: 'text',
+        data: { x: 0, y: 0, text: 'x'.repeat(LIMITS.textLength + 1), color: '#000', fontSize: 24 }
+    }, 'text');
+    assertRejected('join-room', { roomId: 'r'.repeat(LIMITS.roomId + 1), userName: 'Alice' }, 'roomId');
+    assertRejected('join-room', { roomId: 'room', userName: 'a'.repeat(LIMITS.userName + 1) }, 'userName');
+});
+
+test('a preview end only needs its phase', () => {
+    assert.deepStrictEqual(validateEvent('drawing-event', { type: 'shape-preview', data: { phase: 'end', color: 'x' } }), {
+        type: 'shape-preview',
+        data: { phase: 'end' }
+    });
+});